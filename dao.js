@@ -4,130 +4,2054 @@
 const assert = require('assert');
 const { generate: _uuid } = require('short-uuid');
 const Validator = require('jsonschema').Validator;
+const errors = require('./lib/errors');
+const {
+  designDoc,
+  diffDesignDocs,
+  withDeletedViews,
+  withGuard,
+  withoutAudit,
+} = require('./lib/design');
+const cursors = require('./lib/cursor');
+const Watcher = require('./lib/watcher');
+const { matches, visible, isRule } = require('./lib/visibility');
+const { isRelation, refs } = require('./lib/relations');
+const { allowedType, readAll, inline } = require('./lib/attachments');
+const partitions = require('./lib/partitions');
+const timestamps = require('./lib/timestamps');
+const { mergePatch, applyPatch } = require('./lib/patch');
+const { PassThrough, Readable } = require('stream');
+const { ReadCache } = require('./lib/cache');
+const Batcher = require('./lib/batcher');
+const { auditEntry, isAuditId, prefix: auditPrefix } = require('./lib/audit');
+const ndjson = require('./lib/ndjson');
+const {
+  DAOError,
+  BadArgumentError,
+  ValidationError,
+  TypeMismatchError,
+  ForbiddenError,
+  ConflictError,
+  NotFoundError,
+  NotUniqueError,
+  AbortError,
+  DatabaseError,
+  fromCouch,
+  fromBulkRow,
+  rethrow,
+} = errors;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// what the dao stamps itself, a client can't set it
+const metadata = ['c_by', 'c_at', 'm_by', 'm_at', 'd_by', 'd_at', 's_v'];
+
+const withoutMetadata = doc => {
+  assert(
+    doc && typeof doc === 'object' && !Array.isArray(doc),
+    new BadArgumentError('bad document')
+  );
+  return Object.keys(doc).reduce((acc, field) => {
+    if (!['_id', '_rev', ...metadata].includes(field)) acc[field] = doc[field];
+    return acc;
+  }, {});
+};
+
+// the user name a ctx writes as
+const actor = ctx => {
+  const userName = ctx && ctx.user;
+  assert(
+    typeof userName === 'string' && userName,
+    new BadArgumentError('no user in ctx')
+  );
+  return userName;
+};
+
+// what static access can have rules for
+const accessOps = ['create', 'read', 'update', 'delete', 'list'];
+
+// the lifecycle hooks, in the order a write runs them
+const hookNames = [
+  'beforeValidate',
+  'beforeCreate',
+  'afterCreate',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete',
+  'afterRetrieve',
+];
 
 class DAO {
   //
   // constructor
   //
   constructor(type, db) {
-    assert(typeof type === 'string', 'bad dao type name');
-    assert(typeof db === 'object', 'bad db type');
-    assert(typeof db.replicate === 'function', 'bad db instance');
+    assert(typeof type === 'string', new BadArgumentError('bad dao type name'));
+    assert(typeof db === 'object', new BadArgumentError('bad db type'));
+    assert(
+      typeof db.replicate === 'function',
+      new BadArgumentError('bad db instance')
+    );
     this.type = type;
     this.db = db;
 
+    this.strategy = this.constructor.partitionStrategy;
+    assert(
+      partitions.isStrategy(this.strategy),
+      new BadArgumentError('bad partition strategy')
+    );
+    this.idPattern = new RegExp(this.strategy.pattern(type));
+
     this.docValidator = new Validator();
 
+    // reusable sub-schemas, from DAO down to the concrete subclass
+    this.constructor
+      ._inherited('schemas')
+      .forEach(schemas =>
+        schemas.forEach(schema => this.docValidator.addSchema(schema))
+      );
+
     this.docValidator.addSchema({
-      id: '/NonEmptyString',
+      id: '/DocumentID',
       type: 'string',
-      minLength: 1,
+      pattern: this.strategy.pattern(type),
     });
 
+    const { timestamps: format, clock } = this.constructor;
+    assert(
+      timestamps.isFormat(format),
+      new BadArgumentError('bad timestamp format')
+    );
+    assert(typeof clock === 'function', new BadArgumentError('bad clock'));
     this.docValidator.addSchema({
-      id: '/DocumentID',
-      type: 'string',
-      pattern: `^${this.type}:`,
+      id: '/Timestamp',
+      ...timestamps.schema(format),
     });
+
+    Object.assign(
+      this.docValidator.customFormats,
+      ...this.constructor._inherited('formats')
+    );
+
+    this.schema = {
+      id: '/Document',
+      type: 'object',
+      properties: Object.assign(
+        {},
+        ...this.constructor._inherited('properties')
+      ),
+      required: [
+        ...new Set([].concat(...this.constructor._inherited('required'))),
+      ],
+      additionalProperties: true,
+    };
+
+    this.views = Object.assign({}, ...this.constructor._inherited('views'));
+    this.indexes = Object.assign({}, ...this.constructor._inherited('indexes'));
+    this.visibility = Object.assign(
+      {},
+      ...this.constructor._inherited('visibility')
+    );
+    Object.keys(this.visibility).forEach(field =>
+      assert(
+        isRule(this.visibility[field]),
+        new BadArgumentError(`bad visibility rule: ${field}`)
+      )
+    );
+
+    this.upgrades = Object.assign(
+      {},
+      ...this.constructor._inherited('upgrades')
+    );
+    const { schemaVersion } = this.constructor;
+    assert(
+      schemaVersion === null ||
+        (Number.isInteger(schemaVersion) && schemaVersion > 0),
+      new BadArgumentError('bad schema version')
+    );
+    for (let version = 1; version < schemaVersion; version++) {
+      assert(
+        typeof this.upgrades[version] === 'function',
+        new BadArgumentError(`missing upgrade: ${version}`)
+      );
+    }
+
+    const { cache } = this.constructor;
+    this.cache = cache ? new ReadCache(cache === true ? {} : cache) : null;
+    const { batchRetrieve } = this.constructor;
+    this.batcher = batchRetrieve
+      ? new Batcher(
+          _ids => this._fetchMany(_ids),
+          batchRetrieve === true ? {} : batchRetrieve
+        )
+      : null;
+
+    this.access = Object.assign({}, ...this.constructor._inherited('access'));
+    Object.keys(this.access).forEach(op =>
+      assert(
+        accessOps.includes(op) &&
+          (Array.isArray(this.access[op]) ||
+            typeof this.access[op] === 'function'),
+        new BadArgumentError(`bad access rule: ${op}`)
+      )
+    );
+
+    this.relations = Object.assign(
+      {},
+      ...this.constructor._inherited('relations')
+    );
+    Object.keys(this.relations).forEach(name =>
+      assert(
+        isRelation(this.relations[name]),
+        new BadArgumentError(`bad relation: ${name}`)
+      )
+    );
+    this.related = new Map(); // type => dao, see relate()
+
+    this.attachmentLimits = Object.assign(
+      {},
+      ...this.constructor._inherited('attachments')
+    );
+    const { contentTypes, maxSize } = this.attachmentLimits;
+    assert(
+      (contentTypes === undefined ||
+        (Array.isArray(contentTypes) &&
+          contentTypes.every(type => typeof type === 'string'))) &&
+        (maxSize === undefined || (Number.isInteger(maxSize) && maxSize > 0)),
+      new BadArgumentError('bad attachment limits')
+    );
+
+    const declared = this.constructor._inherited('hooks');
+    declared.forEach(hooks =>
+      Object.keys(hooks).forEach(name =>
+        assert(
+          hookNames.includes(name),
+          new BadArgumentError(`unknown hook: ${name}`)
+        )
+      )
+    );
+    this.hooks = hookNames.reduce((acc, name) => {
+      acc[name] = [].concat(...declared.map(hooks => hooks[name] || []));
+      return acc;
+    }, {});
   }
 
   uuid() {
-    return `${this.type}:${_uuid()}`;
-  }
-
-  schema = {
-    id: '/Document',
-    type: 'object',
-    properties: {
-      _id: { $ref: 'DocumentID' },
-      _rev: { $ref: 'NonEmptyString' },
-      c_by: { $ref: 'NonEmptyString' },
-      c_at: { type: 'integer' },
-      m_by: { $ref: 'NonEmptyString' },
-      m_at: { type: 'integer' },
-    },
-    required: ['_id', 'c_by', 'c_at', 'm_by', 'm_at'], // everything but _rev
-    additionalProperties: true,
+    return `${this.idPrefix}${_uuid()}`;
+  }
+
+  // a new _id for doc from idGenerator
+  async _newId(doc, ctx) {
+    const id = await this.constructor.idGenerator.call(this, doc, ctx);
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad generated id')
+    );
+    return `${this.idPrefix}${id}`;
+  }
+
+  //
+  // partitions - where this dao's documents live, see partitionStrategy
+  //
+
+  // a dao for the documents in one partition of a keyed strategy, e.g.
+  // dao.forPartition(tenantId).retrieve(id)
+  forPartition(key) {
+    assert(
+      this.strategy.keyed,
+      new BadArgumentError('partition strategy is not keyed')
+    );
+    assert(
+      typeof key === 'string' &&
+        key &&
+        !key.includes(':') &&
+        !key.startsWith('_'),
+      new BadArgumentError('bad partition key')
+    );
+    const dao = Object.create(this);
+    dao.partitionKey = key;
+    return dao;
+  }
+
+  // the partition this dao's documents are in
+  get partition() {
+    return this.strategy.partition(this.type, this._partitionKey());
+  }
+
+  // what the _ids of this dao's documents start with, the ids it takes are
+  // the rest
+  get idPrefix() {
+    return this.strategy.prefix(this.type, this._partitionKey());
+  }
+
+  _partitionKey() {
+    assert(
+      !this.strategy.keyed || this.partitionKey !== undefined,
+      new BadArgumentError('no partition, use forPartition()')
+    );
+    return this.partitionKey;
+  }
+
+  // is _id that of a document of this dao's type, and of its partition once
+  // it is bound to one
+  _ownsId(_id) {
+    return this.partitionKey === undefined
+      ? this.idPattern.test(_id)
+      : _id.startsWith(this.idPrefix);
+  }
+
+  // the id of a document, its _id without the prefix
+  _bareId(_id) {
+    return _id.replace(this.idPattern, '');
+  }
+
+  // a mango selector for the _ids of this dao's documents, needed when they
+  // share their partition with other types
+  _idRange() {
+    if (!this.strategy.guard) return {};
+    const prefix = this.idPrefix;
+    return { _id: { $gt: prefix, $lt: `${prefix}\ufff0` } };
+  }
+
+  //
+  // schema composition - subclasses declare only what they add, e.g.
+  //
+  //   class Widget extends DAO {
+  //     static properties = { name: { $ref: 'Slug' } };
+  //     static required = ['name'];
+  //     static schemas = [{ id: '/Slug', type: 'string', pattern: '^[a-z0-9-]+$' }];
+  //     static formats = { sku: input => /^[A-Z]{3}-\d+$/.test(input) };
+  //   }
+  //
+  // and they are merged with everything declared by the classes above them.
+  //
+
+  static properties = {
+    _id: { $ref: 'DocumentID' },
+    _rev: { $ref: 'NonEmptyString' },
+    c_by: { $ref: 'NonEmptyString' },
+    c_at: { $ref: 'Timestamp' },
+    m_by: { $ref: 'NonEmptyString' },
+    m_at: { $ref: 'Timestamp' },
+    d_by: { $ref: 'NonEmptyString' },
+    d_at: { $ref: 'Timestamp' },
+    s_v: { type: 'integer', minimum: 1 },
   };
 
+  static required = ['_id', 'c_by', 'c_at', 'm_by', 'm_at']; // everything but _rev
+
+  static schemas = [
+    {
+      id: '/NonEmptyString',
+      type: 'string',
+      minLength: 1,
+    },
+  ];
+
+  static formats = {};
+
+  //
+  // views - the contents of _design/${type}, e.g.
+  //
+  //   static views = {
+  //     'by-name': {
+  //       map: ({ _id, name }) => name && emit([name], 1),
+  //       reduce: '_count',
+  //     },
+  //   };
+  //
+  // once a class declares views, only those views may be queried.
+  //
+
+  static views = {};
+
+  static partitioned = true;
+
+  //
+  // partitionStrategy - how documents are spread over partitions and what
+  // their _ids look like (see lib/partitions.js), e.g. one partition per
+  // tenant shared by every type:
+  //
+  //   static partitionStrategy = DAO.partitions.byTenant;
+  //
+  // with a keyed strategy the dao has to be bound to a partition with
+  // dao.forPartition(key) for anything but info() and cleanse(). Defaults
+  // to one partition per type.
+  //
+  static partitionStrategy = partitions.byType;
+
+  //
+  // indexes - mango indexes for find(), e.g.
+  //
+  //   static indexes = {
+  //     'by-status-type': { fields: ['status', 'type'] },
+  //   };
+  //
+  // each one lives in its own design document, _design/${type}-${name}
+  //
+
+  static indexes = {};
+
+  //
+  // soft delete - when enabled delete() only stamps d_by/d_at on a document,
+  // and every read hides such documents unless asked for them through
+  // dao.withDeleted(). Each declared view gets a twin, `${name}-with-deleted`,
+  // that still includes them.
+  //
+
+  static softDelete = false;
+
+  //
+  // audit - when enabled every create, update and delete is recorded in an
+  // audit entry next to the document (see lib/audit.js), read them back with
+  // dao.history(id). Declared views and find() skip the audit entries.
+  //
+
+  static audit = false;
+
+  //
+  // hooks - run around create(), update(), delete() (and their bulk
+  // versions) and retrieve(), a function or an array of them per hook, e.g.
+  //
+  //   static hooks = {
+  //     beforeValidate: doc => ({ ...doc, name: doc.name.trim() }),
+  //     afterCreate: [notify],
+  //   };
+  //
+  // each is called as hook.call(dao, doc, ctx) and may be async. Hooks of
+  // the classes above run first, then those added with dao.addHook().
+  //
+  static hooks = {};
+
+  //
+  // visibility - which fields cleanse() lets through to a ctx, e.g.
+  //
+  //   static visibility = {
+  //     _id: { as: 'id' }, // the bare id, as info() returns it
+  //     c_by: { hide: ['anonymous'] },
+  //     secretNotes: { show: ['owner', 'ADMIN'] },
+  //     password: false, // never
+  //   };
+  //
+  // see lib/visibility.js for the audiences show/hide can list, fields
+  // without a rule are always let through.
+  //
+  static visibility = {};
+
+  //
+  // access - who may create, read, update, delete and list documents
+  // through a dao bound to a ctx with dao.withContext(ctx), e.g.
+  //
+  //   static access = {
+  //     read: ['user'],
+  //     update: ['owner', 'ADMIN'],
+  //     delete: (ctx, doc) => ctx.roles.includes('ADMIN'),
+  //   };
+  //
+  // with the audiences of lib/visibility.js. Operations without a rule are
+  // open to everyone, and daos without a ctx aren't checked at all.
+  //
+  static access = {};
+
+  //
+  // cache - keep what retrieve() and findOne() read in a ReadCache (see
+  // lib/cache.js), true or its options, e.g.
+  //
+  //   static cache = { max: 1000, ttl: 5000 };
+  //
+  // only this dao's own writes (and their conflicts) invalidate it, ttl
+  // (ms) bounds how long a change made anywhere else can go unseen.
+  //
+  static cache = false;
+
+  //
+  // schemaVersion - once set, the dao stamps it on the documents it writes
+  // as s_v, and upgrades older documents (those without s_v are version 1)
+  // with upgrades[n], which turns a version n document into version n + 1:
+  //
+  //   static schemaVersion = 3;
+  //   static upgrades = {
+  //     1: doc => ({ ...doc, tags: doc.tags || [] }),
+  //     2: ({ colour, ...doc }) => ({ ...doc, color: colour }),
+  //   };
+  //
+  // documents are upgraded as they are read by retrieve(), retrieveMany(),
+  // list(), page() and findOne() and before they are written, migrate()
+  // saves the upgraded versions.
+  //
+  static schemaVersion = null;
+
+  static upgrades = {};
+
+  //
+  // batchRetrieve - merge the retrieve() calls made in the same tick into a
+  // single _all_docs request (see lib/batcher.js), true or { maxBatchSize }
+  //
+  static batchRetrieve = false;
+
+  //
+  // relations - references to documents of other dao types, populated by
+  // retrieve(), findOne() and list() on request (see lib/relations.js), e.g.
+  //
+  //   static relations = {
+  //     widget: { belongsTo: 'WIDGET', field: 'widgetId', check: true },
+  //     lines: { hasMany: 'LINE', view: 'by-order', onDelete: 'cascade' },
+  //   };
+  //
+  static relations = {};
+
+  //
+  // attachments - limits on the attachments of this dao's documents, either
+  // may be left out, e.g.
+  //
+  //   static attachments = {
+  //     contentTypes: ['image/*', 'application/pdf'],
+  //     maxSize: 5 * 1024 * 1024, // bytes
+  //   };
+  //
+  static attachments = {};
+
+  //
+  // timestamps - the format c_at, m_at, d_at (and the audit trail's at) are
+  // stamped in: 'seconds' (epoch seconds), 'milliseconds' or 'iso' (see
+  // lib/timestamps.js), read from clock(), which returns epoch milliseconds
+  // and can be swapped, e.g. in tests:
+  //
+  //   static timestamps = 'iso';
+  //   static clock = () => fixedTime;
+  //
+  static timestamps = 'seconds';
+
+  static clock = () => Date.now();
+
+  //
+  // idGenerator - the ids createFor() gives new documents, without the
+  // prefix, called as idGenerator.call(dao, doc, ctx) and may be async, e.g.
+  //
+  //   static idGenerator = doc => slugify(doc.name);
+  //
+  static idGenerator = () => _uuid();
+
+  // collect a static field declared along the class chain, base class first
+  static _inherited(name) {
+    const found = [];
+    let cls = this;
+    while (cls !== Function.prototype) {
+      if (Object.prototype.hasOwnProperty.call(cls, name)) {
+        found.unshift(cls[name]);
+      }
+      cls = Object.getPrototypeOf(cls);
+    }
+    return found;
+  }
+
   validate(doc) {
-    assert(typeof doc === 'object', 'bad document');
+    assert(typeof doc === 'object', new BadArgumentError('bad document'));
     return this.docValidator.validate(doc, this.schema);
   }
 
-  async create(doc) {
+  //
+  // the checks a document must pass before it is written, an id (without
+  // the prefix) pins the document to it, otherwise any id of this dao's
+  // type (and partition) will do
+  //
+  _checkCreate(doc) {
     const vr = this.validate(doc);
-    assert(vr.valid, 'invalid document');
-    assert(!doc._rev, 'document may already exist');
-    const res = await this.db.insert(doc);
-    return { _rev: res.rev, ...doc };
+    if (!vr.valid) throw new ValidationError('invalid document', vr.errors);
+    this._checkId(doc);
+    this._checkReserved(doc);
+    assert(!doc._rev, new BadArgumentError('document may already exist'));
   }
 
-  async retrieve(id) {
-    assert(typeof id === 'string' && id, 'bad document id');
-    const _id = `${this.type}:${id}`;
+  _checkUpdate(doc, id) {
+    const vr = this.validate(doc);
+    if (!vr.valid) throw new ValidationError('invalid document', vr.errors);
+    this._checkId(doc, id);
+    this._checkReserved(doc);
+    assert(doc._rev, new BadArgumentError('document must already exist'));
+  }
+
+  _checkDelete(doc, id) {
+    assert(
+      doc && typeof doc === 'object',
+      new BadArgumentError('bad document')
+    );
+    assert(
+      typeof doc._id === 'string' && doc._id,
+      new BadArgumentError('invalid document')
+    );
+    this._checkId(doc, id);
+    assert(doc._rev, new BadArgumentError('document must already exist'));
+  }
+
+  // with audit on, audit entry ids and audit_of belong to the audit trail,
+  // a document with either would pass for an entry
+  _checkReserved(doc) {
+    if (!this.constructor.audit) return;
+    assert(
+      !isAuditId(doc._id) && typeof doc.audit_of === 'undefined',
+      new BadArgumentError('reserved for the audit trail')
+    );
+  }
+
+  _checkId(doc, id) {
+    assert(
+      id === undefined
+        ? this._ownsId(doc._id)
+        : doc._id === `${this.idPrefix}${id}`,
+      new TypeMismatchError('document id mismatch')
+    );
+  }
+
+  async create(doc) {
+    doc = await this._upgrade(doc, this.constructor.schemaVersion);
+    doc = await this._hook('beforeValidate', doc);
+    this._checkCreate(doc);
+    this._authorize('create', doc);
+    await this._checkRefs(doc);
+    doc = await this._hook('beforeCreate', doc);
+    const res = await this.db
+      .insert(doc)
+      .catch(err => this._writeFailed(err, [doc._id]));
+    await this._invalidate([doc._id]);
+    const saved = { _rev: res.rev, ...doc };
+    await this._audit([
+      {
+        op: 'create',
+        id: doc._id,
+        rev: res.rev,
+        after: saved,
+        actor: doc.c_by,
+      },
+    ]);
+    await this._hook('afterCreate', saved);
+    return saved;
+  }
+
+  // opts.include names the relations to populate
+  async retrieve(id, opts = {}) {
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad document id')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const include = this._includes(opts.include);
+    const _id = `${this.idPrefix}${id}`;
+    let doc;
     try {
-      const doc = await this.db.get(_id);
-      return doc;
+      doc = await this._cached(`doc:${_id}`, () =>
+        this.batcher ? this.batcher.load(_id) : this.db.get(_id)
+      );
     } catch (err) {
       //console.log(err);
-      if (err.statusCode !== 404) throw err; // unexpected error
+      if (err.statusCode !== 404) throw fromCouch(err); // unexpected error
       return null;
     }
+    if (!doc || this._hidden(doc)) return null;
+    this._authorize('read', doc);
+    doc = await this._hook('afterRetrieve', await this._upgrade(doc));
+    const [populated] = await this._populate([doc], include);
+    return populated;
+  }
+
+  //
+  // retrieveMany() - the documents with these ids, in the same order, with
+  // null for those that are missing, deleted or that ctx may not read. One
+  // request whatever the number of ids.
+  //
+  async retrieveMany(ids) {
+    assert(
+      Array.isArray(ids) && ids.every(id => typeof id === 'string' && id),
+      new BadArgumentError('bad document ids')
+    );
+    const prefix = this.idPrefix;
+    const docs = await this._fetchMany(ids.map(id => `${prefix}${id}`));
+    return Promise.all(
+      docs.map(async doc =>
+        !doc || this._hidden(doc) || !this._allowed('read', doc)
+          ? null
+          : this._hook('afterRetrieve', await this._upgrade(doc))
+      )
+    );
+  }
+
+  // one _all_docs request per partition for the documents with these _ids,
+  // in order, null for those missing or deleted
+  async _fetchMany(_ids) {
+    if (!_ids.length) return [];
+    const byPartition = new Map();
+    new Set(_ids).forEach(_id => {
+      const partition = partitions.partitionOf(_id);
+      if (!byPartition.has(partition)) byPartition.set(partition, []);
+      byPartition.get(partition).push(_id);
+    });
+    const found = new Map();
+    for (const [partition, keys] of byPartition) {
+      const res = await this.db
+        .partitionedList(partition, { keys, include_docs: true })
+        .catch(rethrow);
+      res.rows.forEach(row => row.doc && found.set(row.key, row.doc));
+    }
+    return _ids.map(_id => found.get(_id) || null);
   }
 
   async update(id, doc) {
-    assert(typeof id === 'string' && id, 'bad document id');
-    const vr = this.validate(doc);
-    assert(vr.valid, 'invalid document');
-    assert(doc._id === `${this.type}:${id}`, 'document id mismatch');
-    assert(doc._rev, 'document must already exist');
-    return this.db.insert(doc).then(res => ({ ...doc, _rev: res.rev }));
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad document id')
+    );
+    doc = await this._upgrade(doc);
+    doc = await this._hook('beforeValidate', doc);
+    this._checkUpdate(doc, id);
+    await this._authorizeStored('update', doc._id);
+    await this._checkRefs(doc);
+    doc = await this._hook('beforeUpdate', doc);
+    const saved = await this._save(doc, 'update');
+    await this._hook('afterUpdate', saved);
+    return saved;
+  }
+
+  async delete(id, doc, userName) {
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad document id')
+    );
+    this._checkDelete(doc, id);
+    await this._authorizeStored('delete', doc._id);
+    doc = await this._hook('beforeDelete', doc);
+    await this._deleteRelated(doc, userName, 'restrict');
+    let res;
+    if (this.constructor.softDelete) {
+      const deleted = await this._softDeleted(doc, userName);
+      this._checkUpdate(deleted, id);
+      const saved = await this._save(deleted, 'delete');
+      res = { ok: true, id: saved._id, rev: saved._rev };
+    } else {
+      const [before] = await this._previous([doc._id]);
+      res = await this.db
+        .destroy(doc._id, doc._rev)
+        .catch(err => this._writeFailed(err, [doc._id]));
+      await this._invalidate([doc._id]);
+      const actor = userName || doc.m_by;
+      await this._audit([
+        { op: 'delete', id: doc._id, rev: res.rev, before, after: null, actor },
+      ]);
+    }
+    await this._deleteRelated(doc, userName, 'cascade');
+    await this._hook('afterDelete', doc);
+    return res;
+  }
+
+  // the stored version of doc stamped as (soft) deleted, doc itself only
+  // has to carry the _id and the current _rev
+  async _softDeleted(doc, userName) {
+    const stored = await this.db.get(doc._id).catch(rethrow);
+    if (stored._rev !== doc._rev) {
+      const err = new ConflictError('document update conflict');
+      await this._writeFailed(err, [doc._id]);
+    }
+    const deleted = await this._upgrade({ ...stored });
+    return this.constructor._touchDeleted(deleted, userName);
+  }
+
+  // write a checked document
+  async _save(doc, op) {
+    const [before] = await this._previous([doc._id]);
+    const res = await this.db
+      .insert(doc)
+      .catch(err => this._writeFailed(err, [doc._id]));
+    await this._invalidate([doc._id]);
+    const saved = { ...doc, _rev: res.rev };
+    await this._audit([
+      { op, id: doc._id, rev: res.rev, before, after: saved, actor: doc.m_by },
+    ]);
+    return saved;
+  }
+
+  //
+  // createFor() and updateFor() - writes on behalf of ctx, for documents
+  // straight from a client. The dao binds itself to ctx (see withContext()),
+  // stamps c_by/m_by with ctx.user (whom the access rules know as the owner)
+  // and c_at/m_at with its clock, and ignores whatever _id and metadata the
+  // document brings along: createFor() gives it an _id from idGenerator,
+  // updateFor() keeps c_by/c_at (and d_by/d_at and s_v) of the stored
+  // document. updateFor() still needs the document's _rev, like update().
+  //
+  async createFor(ctx, doc) {
+    const dao = this.withContext(ctx);
+    const userName = actor(ctx);
+    const fields = withoutMetadata(doc);
+    const _id = await dao._newId(fields, ctx);
+    return dao.create(this.constructor._touch({ _id, ...fields }, userName));
+  }
+
+  async updateFor(ctx, id, doc) {
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad document id')
+    );
+    const dao = this.withContext(ctx);
+    const userName = actor(ctx);
+    const fields = withoutMetadata(doc);
+    const _id = `${dao.idPrefix}${id}`;
+    const stored = await this.db.get(_id).catch(err => {
+      if (err.statusCode === 404) return null;
+      throw fromCouch(err);
+    });
+    assert(
+      stored && !dao._hidden(stored),
+      new NotFoundError('document not found')
+    );
+    const changed = { _id, _rev: doc._rev, ...fields };
+    ['c_by', 'c_at', 'd_by', 'd_at', 's_v'].forEach(field => {
+      if (field in stored) changed[field] = stored[field];
+    });
+    return dao.update(id, this.constructor._touch(changed, userName));
+  }
+
+  //
+  // hooks
+  //
+
+  // register a hook on this dao (and the daos derived from it, e.g. through
+  // withContext()), it runs after the declared ones. A derived dao gets its
+  // own copy of the hooks first, so the dao it came from isn't affected.
+  addHook(name, hook) {
+    assert(
+      hookNames.includes(name),
+      new BadArgumentError(`unknown hook: ${name}`)
+    );
+    assert(typeof hook === 'function', new BadArgumentError('bad hook'));
+    if (!Object.prototype.hasOwnProperty.call(this, 'hooks')) {
+      this.hooks = hookNames.reduce((acc, hookName) => {
+        acc[hookName] = [...this.hooks[hookName]];
+        return acc;
+      }, {});
+    }
+    this.hooks[name].push(hook);
+    return this;
+  }
+
+  // a dao whose hooks get ctx (e.g. { user }), dao.withContext(ctx).create(doc)
+  withContext(ctx) {
+    const dao = Object.create(this);
+    dao.ctx = ctx;
+    return dao;
+  }
+
+  // run the hooks registered under name, in order, each one may return an
+  // object to replace the document it was given. Throwing (a DAOError, e.g.
+  // a ForbiddenError) vetoes the operation.
+  async _hook(name, doc) {
+    for (const hook of this.hooks[name]) {
+      const res = await hook.call(this, doc, this.ctx);
+      if (res && typeof res === 'object') doc = res;
+    }
+    return doc;
+  }
+
+  //
+  // read cache
+  //
+
+  _cached(key, load) {
+    return this.cache ? this.cache.fetch(key, load) : load();
   }
 
-  async delete(id, doc) {
-    assert(typeof id === 'string' && id, 'bad document id');
-    assert(typeof doc === 'object', 'bad document');
-    assert(typeof doc._id === 'string' && doc._id, 'invalid document');
-    assert(doc._id === `${this.type}:${id}`, 'document id mismatch');
-    assert(doc._rev, 'document must already exist');
-    return this.db.destroy(doc._id, doc._rev);
+  // drop the cached documents and every cached view lookup
+  async _invalidate(ids) {
+    if (!this.cache || !ids.length) return;
+    await Promise.all(ids.map(id => this.cache.invalidate(`doc:${id}`)));
+    this.cache.newEpoch();
+  }
+
+  // rethrow a failed write, a conflict means someone else changed the
+  // documents, so what the cache holds for them is outdated
+  async _writeFailed(err, ids) {
+    const error = fromCouch(err);
+    if (error instanceof ConflictError) await this._invalidate(ids);
+    throw error;
+  }
+
+  // { hits, misses, coalesced } of the read cache, or null without one
+  cacheStats() {
+    return this.cache ? { ...this.cache.stats } : null;
+  }
+
+  //
+  // access control
+  //
+
+  // may this dao's ctx do op (to doc)
+  _allowed(op, doc) {
+    const rule = this.access[op];
+    return this.ctx === undefined || !rule || matches(rule, this.ctx, doc);
+  }
+
+  _authorize(op, doc) {
+    assert(this._allowed(op, doc), new ForbiddenError(`${op} not allowed`));
+  }
+
+  // authorize op against the stored document rather than what the caller
+  // sent, so e.g. an owner rule can't be dodged by changing c_by
+  async _authorizeStored(op, _id) {
+    if (this.ctx === undefined || !this.access[op]) return;
+    const stored = await this.db.get(_id).catch(err => {
+      if (err.statusCode === 404) return null; // the write will fail anyway
+      throw fromCouch(err);
+    });
+    if (stored) this._authorize(op, stored);
+  }
+
+  // the documents this dao's ctx may read
+  _readable(docs) {
+    return docs.filter(doc => !doc || this._allowed('read', doc));
+  }
+
+  //
+  // audit support
+  //
+
+  // the stored documents about to be changed, only fetched for the audit
+  async _previous(ids) {
+    if (!this.constructor.audit) return ids.map(() => null);
+    const res = await this.db.fetch({ keys: ids }).catch(rethrow);
+    return res.rows.map(row => row.doc || null);
+  }
+
+  // changes: [{ op, id, rev, before, after, actor }]
+  async _audit(changes) {
+    if (!this.constructor.audit || !changes.length) return;
+    const at = this.constructor._now();
+    const rows = await this.db
+      .bulk({ docs: changes.map(change => auditEntry({ at, ...change })) })
+      .catch(rethrow);
+    const failed = rows.find(row => row.error);
+    // the changes are written by now, so this is no conflict to retry
+    if (failed) {
+      const { message } = fromBulkRow(failed);
+      throw new DatabaseError(`audit entry not written: ${message}`);
+    }
+  }
+
+  //
+  // history() - the audit trail of a document, oldest change first:
+  // [{ op, actor, at, rev, diff }], rev is the revision that was changed
+  //
+  async history(id) {
+    assert(
+      this.constructor.audit,
+      new BadArgumentError('audit is not enabled')
+    );
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad document id')
+    );
+    const _id = `${this.idPrefix}${id}`;
+    // the trail shows what the document held, so it takes read access to
+    // the stored document, one that is gone only passes role rules
+    if (this.ctx !== undefined && this.access.read) {
+      const stored = await this.db.get(_id).catch(err => {
+        if (err.statusCode === 404) return null;
+        throw fromCouch(err);
+      });
+      this._authorize('read', stored);
+    }
+    const start = auditPrefix(_id);
+    const res = await this.db
+      .partitionedList(this.partition, {
+        startkey: start,
+        endkey: `${start}\ufff0`,
+        include_docs: true,
+      })
+      .catch(rethrow);
+    return res.rows.map(({ doc: { op, actor, at, rev, diff } }) => ({
+      op,
+      actor,
+      at,
+      rev,
+      diff,
+    }));
+  }
+
+  //
+  // relations
+  //
+
+  // use dao for the documents of its type this dao's relations refer to,
+  // instead of a plain DAO, e.g. to get its upgrades, hooks and access rules
+  relate(dao) {
+    assert(dao instanceof DAO, new BadArgumentError('bad dao'));
+    this.related.set(dao.type, dao);
+    return this;
+  }
+
+  // a dao whose retrieve(), findOne() and list() populate these relations
+  // unless their opts.include says otherwise, dao.including('widget')
+  including(...names) {
+    const dao = Object.create(this);
+    dao.include = this._includes(names);
+    return dao;
+  }
+
+  // the dao for a related type, bound to ctx when there is one and to this
+  // dao's partition when both are keyed
+  _related(type, ctx = this.ctx) {
+    if (!this.related.has(type)) {
+      const { partitionStrategy } = this.constructor;
+      const Plain = class extends DAO {
+        static partitionStrategy = partitionStrategy;
+      };
+      this.related.set(type, new Plain(type, this.db));
+    }
+    let dao = this.related.get(type);
+    if (dao.strategy.keyed && this.partitionKey !== undefined) {
+      dao = dao.forPartition(this.partitionKey);
+    }
+    return ctx ? dao.withContext(ctx) : dao;
+  }
+
+  // the (checked) names of the relations to populate
+  _includes(include = this.include) {
+    const names = [].concat(include === undefined ? [] : include);
+    names.forEach(name =>
+      assert(
+        typeof name === 'string' && this.relations[name],
+        new BadArgumentError(`unknown relation: ${name}`)
+      )
+    );
+    return names;
+  }
+
+  //
+  // _populate() - copies of docs (nulls stay null) with each named relation
+  // resolved under its name, one request per relation whatever the number
+  // of documents. A belongs-to relation resolves to the document (or null),
+  // or an array of them when the field holds an array of ids, a has-many
+  // relation to an array of documents.
+  //
+  async _populate(docs, names) {
+    const found = docs.filter(Boolean);
+    if (!names.length || !found.length) return docs;
+    const copies = new Map(found.map(doc => [doc, { ...doc }]));
+    for (const name of names) {
+      const { belongsTo, field, hasMany, view } = this.relations[name];
+      if (belongsTo) {
+        const ids = [
+          ...new Set([].concat(...found.map(doc => refs(doc, field)))),
+        ];
+        const related = ids.length
+          ? await this._related(belongsTo).retrieveMany(ids)
+          : [];
+        const byId = new Map(ids.map((id, i) => [id, related[i]]));
+        const lookup = id => byId.get(id) || null;
+        found.forEach(doc => {
+          const value = doc[field];
+          copies.get(doc)[name] = Array.isArray(value)
+            ? value.map(lookup)
+            : lookup(value);
+        });
+      } else {
+        const ids = found.map(doc => this._bareId(doc._id));
+        const referrers = await this._related(hasMany)._referrers(view, ids);
+        found.forEach((doc, i) => {
+          copies.get(doc)[name] = referrers.get(ids[i]) || [];
+        });
+      }
+    }
+    return docs.map(doc => doc && copies.get(doc));
+  }
+
+  // the documents a view of this dao emits under each of keys, as a Map of
+  // key => [docs]
+  async _referrers(viewName, keys) {
+    const found = new Map();
+    if (!keys.length) return found;
+    const res = await this._view(viewName, {
+      reduce: false,
+      include_docs: true,
+      keys,
+    });
+    for (const { key, doc } of res.rows) {
+      if (!doc || !this._allowed('read', doc)) continue;
+      if (!found.has(key)) found.set(key, []);
+      found.get(key).push(await this._upgrade(doc));
+    }
+    return found;
+  }
+
+  // with check, the ids a belongs-to field holds have to be those of
+  // existing documents (whether or not ctx may read them)
+  async _checkRefs(doc) {
+    for (const name of Object.keys(this.relations)) {
+      const { belongsTo, field, check } = this.relations[name];
+      if (!check) continue;
+      const ids = refs(doc, field);
+      assert(
+        ids.every(id => typeof id === 'string' && id),
+        new ValidationError(`invalid reference: ${name}`)
+      );
+      if (!ids.length) continue;
+      const related = await this._related(belongsTo, null).retrieveMany(ids);
+      const errors = ids
+        .filter((id, i) => !related[i])
+        .map(id => ({
+          property: `instance.${field}`,
+          message: `${belongsTo}:${id} does not exist`,
+          argument: id,
+          stack: `instance.${field} ${belongsTo}:${id} does not exist`,
+        }));
+      if (errors.length) {
+        throw new ValidationError(`invalid reference: ${name}`, errors);
+      }
+    }
+  }
+
+  // what deleting doc does to the documents of its has-many relations with
+  // onDelete set to policy: restrict refuses while there are any (checked
+  // before doc is written), cascade deletes them (once doc is deleted, so a
+  // stale doc never takes them along)
+  async _deleteRelated(doc, userName, policy) {
+    const id = this._bareId(doc._id);
+    for (const name of Object.keys(this.relations)) {
+      const { hasMany, view, onDelete } = this.relations[name];
+      if (!hasMany || onDelete !== policy) continue;
+      const related = this._related(hasMany, null);
+      const docs = (await related._referrers(view, [id])).get(id) || [];
+      if (!docs.length) continue;
+      if (onDelete === 'restrict') {
+        throw new ConflictError(`${doc._id} still has ${name}`);
+      }
+      const results = await this._related(hasMany).deleteMany(docs, {
+        userName,
+      });
+      const failed = results.find(res => res.status !== 'ok');
+      if (failed) throw failed.error;
+    }
+  }
+
+  //
+  // attachments - putAttachment() and removeAttachment() check the id and
+  // _rev of doc like update() and delete() do, and save the stored document
+  // with the change and a fresh m_by/m_at as a single new revision. They
+  // resolve to the saved document, with attachment stubs.
+  //
+
+  // data is a buffer, a string or a stream
+  async putAttachment(id, doc, name, data, contentType, userName) {
+    assert(
+      typeof name === 'string' && name && !name.startsWith('_'),
+      new BadArgumentError('bad attachment name')
+    );
+    assert(
+      typeof contentType === 'string' && contentType,
+      new BadArgumentError('bad content type')
+    );
+    const { contentTypes, maxSize } = this.attachmentLimits;
+    assert(
+      !contentTypes || allowedType(contentTypes, contentType),
+      new BadArgumentError(`content type not allowed: ${contentType}`)
+    );
+    this._checkDelete(doc, id);
+    const bytes = await readAll(data, maxSize);
+    return this._changeAttachments(doc, userName, 'attach', attachments => ({
+      ...attachments,
+      [name]: { content_type: contentType, data: bytes.toString('base64') },
+    }));
+  }
+
+  async removeAttachment(id, doc, name, userName) {
+    assert(
+      typeof name === 'string' && name,
+      new BadArgumentError('bad attachment name')
+    );
+    this._checkDelete(doc, id);
+    return this._changeAttachments(doc, userName, 'detach', attachments => {
+      assert(
+        attachments[name],
+        new NotFoundError(`attachment not found: ${name}`)
+      );
+      const { [name]: removed, ...rest } = attachments;
+      return rest;
+    });
+  }
+
+  // save the stored version of doc with change(attachments) applied
+  async _changeAttachments(doc, userName, op, change) {
+    const stored = await this.db.get(doc._id).catch(rethrow);
+    assert(!this._hidden(stored), new NotFoundError('document not found'));
+    this._authorize('update', stored);
+    const changed = await this._upgrade({ ...stored, _rev: doc._rev });
+    this.constructor._touch(changed, userName);
+    changed._attachments = change(stored._attachments || {});
+    this._checkUpdate(changed);
+    const saved = await this._save(changed, op);
+    Object.keys(saved._attachments).forEach(name => {
+      const { stub, content_type, data } = saved._attachments[name];
+      if (stub) return;
+      saved._attachments[name] = {
+        content_type,
+        length: Buffer.byteLength(data, 'base64'),
+        stub: true,
+      };
+    });
+    return saved;
+  }
+
+  // the attachment's data as a buffer, null when there is no such document
+  // (or ctx may not read it) or attachment
+  async getAttachment(id, name) {
+    const _id = await this._holder(id, name);
+    if (!_id) return null;
+    try {
+      return await this.db.attachment.get(_id, name);
+    } catch (err) {
+      if (err.statusCode !== 404) throw fromCouch(err);
+      return null;
+    }
+  }
+
+  // the same as a readable stream, errors are emitted on it
+  async getAttachmentStream(id, name) {
+    const _id = await this._holder(id, name);
+    if (!_id) return null;
+    const out = new PassThrough();
+    const source = this.db.attachment.getAsStream(_id, name);
+    source.on('error', err => out.destroy(fromCouch(err)));
+    return source.pipe(out);
+  }
+
+  // [{ name, contentType, length, digest }], null when there is no such
+  // document (or ctx may not read it)
+  async listAttachments(id) {
+    const doc = await this.retrieve(id, { include: [] });
+    if (!doc) return null;
+    const attachments = doc._attachments || {};
+    return Object.keys(attachments).map(name => {
+      const { content_type, length, digest } = attachments[name];
+      return { name, contentType: content_type, length, digest };
+    });
+  }
+
+  // the _id of the document holding an attachment, if ctx may read it
+  async _holder(id, name) {
+    assert(
+      typeof name === 'string' && name,
+      new BadArgumentError('bad attachment name')
+    );
+    const doc = await this.retrieve(id, { include: [] });
+    return doc && doc._attachments && doc._attachments[name] ? doc._id : null;
+  }
+
+  //
+  // soft delete support
+  //
+
+  // a dao that sees soft deleted documents too
+  withDeleted() {
+    const dao = Object.create(this);
+    dao.includeDeleted = true;
+    return dao;
+  }
+
+  _hidden(doc) {
+    const { softDelete, audit } = this.constructor;
+    return (
+      (softDelete && !this.includeDeleted && typeof doc.d_at !== 'undefined') ||
+      (audit && typeof doc.audit_of !== 'undefined')
+    );
+  }
+
+  // undo a soft delete, resolves to the restored document (or null)
+  async restore(id, userName) {
+    assert(
+      this.constructor.softDelete,
+      new BadArgumentError('soft delete is not enabled')
+    );
+    const doc = await this.withDeleted().retrieve(id, { include: [] });
+    if (!doc || typeof doc.d_at === 'undefined') return doc;
+    this._authorize('update', doc);
+    const { d_by, d_at, ...restored } = doc;
+    this.touch(restored, userName);
+    this._checkUpdate(restored, id);
+    return this._save(restored, 'restore');
+  }
+
+  //
+  // purge() - really delete documents soft deleted before a cutoff (a
+  // timestamp like d_at, epoch seconds by default), resolves to
+  // { purged, failed: [...bulk results] }
+  //
+  async purge(before, opts = {}) {
+    assert(
+      this.constructor.softDelete,
+      new BadArgumentError('soft delete is not enabled')
+    );
+    assert(
+      timestamps.isTimestamp(this.constructor.timestamps, before),
+      new BadArgumentError('invalid cutoff')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { batchSize = 500 } = opts;
+    let purged = 0;
+    const failed = [];
+    let bookmark;
+    for (;;) {
+      const res = await this.db
+        .partitionedFind(this.partition, {
+          selector: { d_at: { $lt: before }, ...this._idRange() },
+          fields: ['_id', '_rev'],
+          limit: batchSize,
+          bookmark,
+        })
+        .catch(rethrow);
+      if (!res.docs.length) break;
+      const results = await this._bulk(
+        res.docs,
+        { chunkSize: batchSize },
+        ({ _id, _rev }) => ({ _id, _rev, _deleted: true }),
+        'purge'
+      );
+      results.forEach(result =>
+        result.status === 'ok' ? purged++ : failed.push(result)
+      );
+      bookmark = res.bookmark;
+    }
+    return { purged, failed };
+  }
+
+  //
+  // schema versions
+  //
+
+  // a document brought up to the current schema version, as a copy, from
+  // its s_v or, without one, the version it is taken to be
+  async _upgrade(doc, assumed = 1) {
+    const { schemaVersion } = this.constructor;
+    if (!schemaVersion || !doc || typeof doc !== 'object') return doc;
+    if (doc.s_v >= schemaVersion) return doc;
+    doc = { ...doc };
+    for (let version = doc.s_v || assumed; version < schemaVersion; version++) {
+      const res = await this.upgrades[version](doc);
+      if (res && typeof res === 'object') doc = res;
+    }
+    doc.s_v = schemaVersion;
+    return doc;
+  }
+
+  _upgradeAll(docs) {
+    return Promise.all(docs.map(doc => this._upgrade(doc)));
+  }
+
+  //
+  // migrate() - walk the whole partition and save the upgraded version of
+  // every outdated document, resolves to
+  //
+  //   { scanned, outdated, migrated, failed: [...bulk results] }
+  //
+  // opts: batchSize (100), dryRun (only check what would be saved, nothing
+  // is migrated) and onProgress({ scanned, outdated, migrated, failed })
+  // called with the running totals after each batch
+  //
+  async migrate(opts = {}) {
+    const { schemaVersion } = this.constructor;
+    assert(schemaVersion, new BadArgumentError('schema version is not set'));
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { batchSize = 100, dryRun = false, onProgress } = opts;
+    assert(
+      Number.isInteger(batchSize) && batchSize > 0,
+      new BadArgumentError('invalid batch size')
+    );
+    const totals = { scanned: 0, outdated: 0, migrated: 0, failed: [] };
+    for await (const docs of this._scan(batchSize)) {
+      const outdated = docs.filter(doc => !(doc.s_v >= schemaVersion));
+      totals.scanned += docs.length;
+      totals.outdated += outdated.length;
+      if (dryRun) {
+        for (const doc of outdated) {
+          try {
+            this._checkUpdate(await this._upgrade(doc));
+          } catch (err) {
+            if (!(err instanceof DAOError)) throw err;
+            totals.failed.push({ status: 'invalid', id: doc._id, error: err });
+          }
+        }
+      } else {
+        const results = await this._bulk(
+          outdated,
+          { chunkSize: batchSize },
+          async doc => {
+            const upgraded = await this._upgrade(doc);
+            this._checkUpdate(upgraded);
+            return upgraded;
+          },
+          'migrate'
+        );
+        results.forEach(res =>
+          res.status === 'ok' ? totals.migrated++ : totals.failed.push(res)
+        );
+      }
+      if (onProgress) onProgress({ ...totals, failed: totals.failed.length });
+    }
+    return totals;
+  }
+
+  // every document of this dao in its partition but the audit entries, in
+  // _id order, batchSize at a time. With attachments, their data comes
+  // along in place of the stubs.
+  async *_scan(batchSize, attachments = false) {
+    const prefix = this.idPrefix;
+    let last = null;
+    for (;;) {
+      const { rows } = await this.db
+        .partitionedList(this.partition, {
+          include_docs: true,
+          limit: batchSize,
+          startkey: prefix,
+          endkey: `${prefix}\ufff0`,
+          ...(attachments && { attachments: true }),
+          ...(last && { startkey: last, skip: 1 }),
+        })
+        .catch(rethrow);
+      if (!rows.length) return;
+      last = rows[rows.length - 1].id;
+      yield rows
+        .map(row => row.doc)
+        .filter(doc => doc && typeof doc.audit_of === 'undefined');
+      if (rows.length < batchSize) return;
+    }
+  }
+
+  //
+  // export() - every document of this dao's type (soft deleted ones too,
+  // audit entries excepted) as a readable stream of newline delimited json.
+  // Attachments are written inline, { content_type, data } with base64 data,
+  // so import() can write them back. opts: batchSize (100) and stripRev
+  // (leave out each document's _rev)
+  //
+  export(opts = {}) {
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { batchSize = 100, stripRev = false } = opts;
+    assert(
+      Number.isInteger(batchSize) && batchSize > 0,
+      new BadArgumentError('invalid batch size')
+    );
+    this._authorize('list');
+    const dao = this;
+    return Readable.from(
+      (async function* () {
+        for await (const docs of dao._scan(batchSize, true)) {
+          for (const doc of dao._readable(docs)) {
+            if (doc._attachments) doc._attachments = inline(doc._attachments);
+            const { _rev, ...rest } = doc;
+            yield ndjson.stringify(stripRev ? rest : doc);
+          }
+        }
+      })()
+    );
+  }
+
+  //
+  // import() - write the documents of a newline delimited json stream (or
+  // any async iterable of strings or buffers) into this dao's partition,
+  // batchSize (100) lines at a time. Each document is upgraded and checked
+  // like a create, the _rev it brings along is ignored. Resolves to
+  //
+  //   { imported, skipped, failed: [...bulk results, with their line] }
+  //
+  // opts.onConflict is what happens to documents that already exist:
+  // 'fail' (the default) throws a ConflictError before the batch holding
+  // one is written, 'skip' leaves them alone and 'overwrite' replaces them.
+  // onProgress({ imported, skipped, failed }) gets the running totals.
+  //
+  async import(input, opts = {}) {
+    assert(
+      input &&
+        (typeof input[Symbol.asyncIterator] === 'function' ||
+          typeof input[Symbol.iterator] === 'function'),
+      new BadArgumentError('bad input')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { batchSize = 100, onConflict = 'fail', onProgress } = opts;
+    assert(
+      Number.isInteger(batchSize) && batchSize > 0,
+      new BadArgumentError('invalid batch size')
+    );
+    assert(
+      ['fail', 'skip', 'overwrite'].includes(onConflict),
+      new BadArgumentError('invalid conflict policy')
+    );
+    const totals = { imported: 0, skipped: 0, failed: [] };
+    let batch = [];
+    const flush = async () => {
+      if (!batch.length) return;
+      await this._importBatch(batch, opts, totals);
+      batch = [];
+      if (onProgress) onProgress({ ...totals, failed: totals.failed.length });
+    };
+    for await (const line of ndjson.lines(input)) {
+      batch.push(line);
+      if (batch.length >= batchSize) await flush();
+    }
+    await flush();
+    return totals;
+  }
+
+  async _importBatch(batch, { batchSize = 100, onConflict = 'fail' }, totals) {
+    const parsed = [];
+    batch.forEach(({ line, text }) => {
+      let doc;
+      try {
+        doc = JSON.parse(text);
+      } catch (err) {
+        const error = new BadArgumentError(`bad json on line ${line}`);
+        totals.failed.push({ status: 'invalid', line, error });
+        return;
+      }
+      if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        const error = new BadArgumentError(`no document on line ${line}`);
+        totals.failed.push({ status: 'invalid', line, error });
+        return;
+      }
+      parsed.push({ line, doc });
+    });
+
+    const ids = parsed
+      .map(({ doc }) => doc._id)
+      .filter(_id => typeof _id === 'string' && _id);
+    const existing = new Map();
+    if (ids.length) {
+      const { rows } = await this.db.fetch({ keys: ids }).catch(rethrow);
+      rows.forEach(row => row.doc && existing.set(row.id, row.doc));
+    }
+    const writes = parsed.filter(({ doc }) => {
+      if (!existing.has(doc._id)) return true;
+      if (onConflict === 'fail') {
+        throw new ConflictError(`document already exists: ${doc._id}`);
+      }
+      if (onConflict === 'skip') totals.skipped++;
+      return onConflict === 'overwrite';
+    });
+
+    const results = await this._bulk(
+      writes.map(({ doc }) => doc),
+      { chunkSize: batchSize },
+      async ({ _rev, ...doc }) => {
+        const current = existing.get(doc._id);
+        doc = await this._upgrade(doc);
+        if (current) {
+          doc._rev = current._rev;
+          this._checkUpdate(doc);
+          this._authorize('update', current);
+        } else {
+          this._checkCreate(doc);
+          this._authorize('create', doc);
+        }
+        return doc;
+      },
+      'import'
+    );
+    results.forEach((res, i) =>
+      res.status === 'ok'
+        ? totals.imported++
+        : totals.failed.push({ ...res, line: writes[i].line })
+    );
+  }
+
+  //
+  // modify() - read, change and save a document, starting over from a fresh
+  // copy whenever the save conflicts with someone else's. mutator(doc) may
+  // change the document in place or return a new one (and may be async).
+  // Resolves to the saved document, or null if there is no such document.
+  //
+  async modify(id, mutator, userName, opts = {}) {
+    assert(
+      typeof id === 'string' && id,
+      new BadArgumentError('bad document id')
+    );
+    assert(typeof mutator === 'function', new BadArgumentError('bad mutator'));
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { retries = 3, backoff = 50 } = opts;
+    assert(
+      Number.isInteger(retries) && retries >= 0,
+      new BadArgumentError('invalid retries')
+    );
+    for (let attempt = 0; ; attempt++) {
+      const current = await this.retrieve(id, { include: [] });
+      if (!current) return null;
+      const changed = (await mutator(current)) || current;
+      changed._rev = current._rev;
+      this.touch(changed, userName);
+      try {
+        return await this.update(id, changed);
+      } catch (err) {
+        if (!(err instanceof ConflictError) || attempt >= retries) throw err;
+      }
+      await sleep(backoff * 2 ** attempt);
+    }
+  }
+
+  //
+  // patch() - apply changes to the current version of a document, either an
+  // RFC 7396 merge patch (an object) or an RFC 6902 JSON Patch (an array of
+  // operations, test included), and save it through update(), so it is
+  // validated and checked like any update. opts:
+  //
+  //   rev - the _rev the changes were made against, when the document has
+  //     moved on since (or the save conflicts) it throws a ConflictError
+  //   user - who made them, stamped as m_by, defaults to ctx.user
+  //   retries, backoff - without rev, a save that conflicts starts over from
+  //     the newer version, as in modify()
+  //
+  // _id, _attachments and the stamped metadata (c_by, c_at, ..., s_v) can't
+  // be patched, changes to them are ignored. Resolves to the saved document,
+  // or null if there is no such document.
+  //
+  async patch(id, changes, opts = {}) {
+    assert(
+      changes && typeof changes === 'object',
+      new BadArgumentError('bad patch')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { rev, user, ...rest } = opts;
+    assert(
+      rev === undefined || (typeof rev === 'string' && rev),
+      new BadArgumentError('bad rev')
+    );
+    const userName = user === undefined ? actor(this.ctx) : user;
+    const apply = Array.isArray(changes) ? applyPatch : mergePatch;
+    const mutator = current => {
+      assert(
+        rev === undefined || current._rev === rev,
+        new ConflictError('document has changed')
+      );
+      const patched = apply(current, changes);
+      assert(
+        patched && typeof patched === 'object' && !Array.isArray(patched),
+        new BadArgumentError('patch leaves no document')
+      );
+      ['_id', '_attachments', ...metadata].forEach(field => {
+        if (field in current) patched[field] = current[field];
+        else delete patched[field];
+      });
+      return patched;
+    };
+    return this.modify(
+      id,
+      mutator,
+      userName,
+      rev === undefined ? rest : { ...rest, retries: 0 }
+    );
+  }
+
+  //
+  // bulk operations - documents are checked like their single document
+  // counterparts and written through _bulk_docs, opts.chunkSize at a time.
+  // They resolve to one result per document, in order:
+  //
+  //   { status: 'ok', id, rev, doc }
+  //   { status: 'invalid', id, error } - failed the checks, never sent
+  //   { status: 'conflict', id, error } - a ConflictError
+  //   { status: 'error', id, error } - anything else
+  //
+  async createMany(docs, opts = {}) {
+    const prepared = [];
+    const results = await this._bulk(
+      docs,
+      opts,
+      async (doc, i) => {
+        doc = await this._upgrade(doc, this.constructor.schemaVersion);
+        doc = await this._hook('beforeValidate', doc);
+        this._checkCreate(doc);
+        this._authorize('create', doc);
+        await this._checkRefs(doc);
+        return (prepared[i] = await this._hook('beforeCreate', doc));
+      },
+      'create'
+    );
+    return this._afterMany(
+      'afterCreate',
+      results.map((res, i) =>
+        res.status === 'ok'
+          ? { ...res, doc: { _rev: res.rev, ...prepared[i] } }
+          : res
+      )
+    );
+  }
+
+  async updateMany(docs, opts = {}) {
+    const prepared = [];
+    const results = await this._bulk(
+      docs,
+      opts,
+      async (doc, i) => {
+        doc = await this._upgrade(doc);
+        doc = await this._hook('beforeValidate', doc);
+        this._checkUpdate(doc);
+        await this._authorizeStored('update', doc._id);
+        await this._checkRefs(doc);
+        return (prepared[i] = await this._hook('beforeUpdate', doc));
+      },
+      'update'
+    );
+    return this._afterMany(
+      'afterUpdate',
+      results.map((res, i) =>
+        res.status === 'ok'
+          ? { ...res, doc: { ...prepared[i], _rev: res.rev } }
+          : res
+      )
+    );
+  }
+
+  // with soft delete enabled, opts.userName is who deleted them
+  async deleteMany(docs, opts = {}) {
+    const { softDelete } = this.constructor;
+    const prepared = [];
+    const results = await this._bulk(
+      docs,
+      opts,
+      async (doc, i) => {
+        this._checkDelete(doc);
+        await this._authorizeStored('delete', doc._id);
+        doc = prepared[i] = await this._hook('beforeDelete', doc);
+        await this._deleteRelated(doc, opts.userName, 'restrict');
+        if (!softDelete) {
+          return { _id: doc._id, _rev: doc._rev, _deleted: true };
+        }
+        const deleted = await this._softDeleted(doc, opts.userName);
+        this._checkUpdate(deleted);
+        return deleted;
+      },
+      'delete'
+    );
+    for (const [i, res] of results.entries()) {
+      if (res.status !== 'ok') continue;
+      await this._deleteRelated(prepared[i], opts.userName, 'cascade');
+      await this._hook('afterDelete', prepared[i]);
+    }
+    return results;
+  }
+
+  // run an after hook for each written document of a bulk operation
+  async _afterMany(name, results) {
+    for (const res of results) {
+      if (res.status === 'ok') await this._hook(name, res.doc);
+    }
+    return results;
+  }
+
+  // prepare(doc, index) checks a document and resolves to what to send for
+  // it, op is what the audit trail calls the change
+  async _bulk(docs, opts, prepare, op) {
+    assert(Array.isArray(docs), new BadArgumentError('bad documents'));
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { chunkSize = 500 } = opts;
+    assert(
+      Number.isInteger(chunkSize) && chunkSize > 0,
+      new BadArgumentError('invalid chunk size')
+    );
+
+    const results = new Array(docs.length);
+    const queue = [];
+    for (const [index, doc] of docs.entries()) {
+      try {
+        queue.push({ index, body: await prepare(doc, index) });
+      } catch (err) {
+        if (!(err instanceof DAOError)) throw err;
+        const id = doc && typeof doc === 'object' ? doc._id : undefined;
+        const status = err instanceof ConflictError ? 'conflict' : 'invalid';
+        results[index] = { status, id, error: err };
+      }
+    }
+
+    for (let i = 0; i < queue.length; i += chunkSize) {
+      const chunk = queue.slice(i, i + chunkSize);
+      const previous =
+        op === 'create'
+          ? chunk.map(() => null)
+          : await this._previous(chunk.map(({ body }) => body._id));
+      // a failed request fails every document in it, but not the others
+      const rows = await this.db
+        .bulk({ docs: chunk.map(({ body }) => body) })
+        .catch(err => chunk.map(({ body }) => ({ id: body._id, err })));
+      const changes = [];
+      const stale = [];
+      rows.forEach((row, j) => {
+        const { index, body } = chunk[j];
+        if (row.err || row.error) {
+          const error = row.err ? fromCouch(row.err) : fromBulkRow(row);
+          const status = error instanceof ConflictError ? 'conflict' : 'error';
+          if (status === 'conflict') stale.push(body._id);
+          results[index] = { status, id: body._id, error };
+          return;
+        }
+        results[index] = { status: 'ok', id: row.id, rev: row.rev };
+        const before = previous[j];
+        changes.push({
+          op,
+          id: row.id,
+          rev: row.rev,
+          before,
+          after: body._deleted ? null : { ...body, _rev: row.rev },
+          actor: body.m_by || opts.userName || (before && before.m_by) || null,
+        });
+      });
+      await this._invalidate([...changes.map(({ id }) => id), ...stale]);
+      await this._audit(changes);
+    }
+    return results;
+  }
+
+  // query one of this dao's views, within this dao's partition
+  _view(viewName, opts) {
+    this._authorize('list');
+    const declared = Object.keys(this.views).length > 0;
+    // only declared views get to skip soft deleted documents, see designDoc()
+    assert(
+      declared || !this.constructor.softDelete,
+      new BadArgumentError('soft delete needs declared views')
+    );
+    if (declared) {
+      const view = this.views[viewName];
+      assert(view, new BadArgumentError(`unknown view: ${viewName}`));
+      assert(
+        !opts.reduce || view.reduce,
+        new BadArgumentError(`view has no reduce: ${viewName}`)
+      );
+      if (this.constructor.softDelete && this.includeDeleted) {
+        viewName = `${viewName}-with-deleted`;
+      }
+    }
+    return this.db
+      .partitionedView(this.partition, this.type, viewName, opts)
+      .catch(rethrow);
   }
 
   async list(viewName, opts = {}) {
-    assert(typeof viewName === 'string' && viewName, 'invalid view');
-    assert(typeof opts === 'object', 'invalid options');
-    opts = {
+    assert(
+      typeof viewName === 'string' && viewName,
+      new BadArgumentError('invalid view')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { include: names, ...query } = {
       reduce: false,
       include_docs: true,
       ...opts,
     };
-    const res = await this.db.partitionedView(
-      this.type,
-      this.type,
-      viewName,
-      opts
+    const include = this._includes(names);
+    assert(
+      !include.length || query.include_docs,
+      new BadArgumentError('include needs include_docs')
     );
-    return res.rows.map(row => (opts.include_docs ? row.doc : row.value));
+    const res = await this._view(viewName, query);
+    if (!query.include_docs) return res.rows.map(row => row.value);
+    const docs = await this._upgradeAll(res.rows.map(row => row.doc));
+    return this._populate(this._readable(docs), include);
   }
 
-  async findOne(viewName, ...key) {
-    assert(typeof viewName === 'string' && viewName, 'invalid view');
-    assert(Array.isArray(key) && key.length > 0, 'invalid key');
-    const res = await this.db.partitionedView(this.type, this.type, viewName, {
+  //
+  // page() - key based paging through a view, returns { items, next, prev }
+  // where next/prev are opaque cursors (or null) to pass back as opts.cursor
+  //
+  async page(viewName, opts = {}) {
+    assert(
+      typeof viewName === 'string' && viewName,
+      new BadArgumentError('invalid view')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { cursor, limit = 25, key, ...rest } = opts;
+    assert(
+      Number.isInteger(limit) && limit > 0,
+      new BadArgumentError('invalid limit')
+    );
+    assert(
+      rest.skip === undefined && rest.keys === undefined,
+      new BadArgumentError('skip and keys are not supported when paging')
+    );
+    const query = {
       reduce: false,
       include_docs: true,
-      limit: 2,
-      key,
+      ...rest,
+      descending: !!rest.descending,
+    };
+    if (key !== undefined) {
+      query.startkey = key;
+      query.endkey = key;
+    }
+
+    let at = null;
+    if (cursor !== undefined && cursor !== null) {
+      at = cursors.decode(cursor);
+      assert(
+        at && at.view === viewName && at.descending === query.descending,
+        new BadArgumentError('invalid cursor')
+      );
+    }
+
+    const { descending } = query;
+    // documents (only those ctx may read) or values
+    const items = async rows =>
+      query.include_docs
+        ? this._readable(await this._upgradeAll(rows.map(row => row.doc)))
+        : rows.map(row => row.value);
+    const cursorAt = (row, back) =>
+      cursors.encode({
+        view: viewName,
+        key: row.key,
+        id: row.id,
+        back,
+        descending,
+      });
+
+    if (at && at.back) {
+      // read backwards from (but not including) the first row of the page
+      // we came from, towards the start of the range
+      const { rows } = await this._view(viewName, {
+        ...query,
+        descending: !descending,
+        startkey: at.key,
+        startkey_docid: at.id,
+        endkey: query.startkey,
+        endkey_docid: query.startkey_docid,
+        inclusive_end: true,
+        skip: 1,
+        limit: limit + 1,
+      });
+      const found = rows.slice(0, limit).reverse();
+      return {
+        items: await items(found),
+        next: cursorAt(at, false),
+        prev: rows.length > limit ? cursorAt(found[0], true) : null,
+      };
+    }
+
+    const { rows } = await this._view(viewName, {
+      ...query,
+      ...(at && { startkey: at.key, startkey_docid: at.id }),
+      limit: limit + 1,
     });
-    assert(res.rows.length <= 1, 'key is not unique');
-    return res.rows.length ? res.rows[0].doc : null;
+    const found = rows.slice(0, limit);
+    return {
+      items: await items(found),
+      next: rows.length > limit ? cursorAt(rows[limit], false) : null,
+      prev: at && found.length ? cursorAt(found[0], true) : null,
+    };
+  }
+
+  //
+  // iterate() - walk every row of a view in batches, without holding them
+  // all in memory, e.g.
+  //
+  //   for await (const doc of dao.iterate('by-name', { batchSize: 500 })) ...
+  //
+  async *iterate(viewName, opts = {}) {
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { batchSize = 100, signal, ...rest } = opts;
+    assert(
+      Number.isInteger(batchSize) && batchSize > 0,
+      new BadArgumentError('invalid batch size')
+    );
+    assert(
+      !signal || typeof signal.aborted === 'boolean',
+      new BadArgumentError('invalid signal')
+    );
+    const checkAborted = () =>
+      assert(!(signal && signal.aborted), new AbortError('iteration aborted'));
+    let cursor = null;
+    do {
+      checkAborted();
+      const res = await this.page(viewName, {
+        ...rest,
+        limit: batchSize,
+        cursor,
+      });
+      for (const item of res.items) {
+        checkAborted();
+        yield item;
+      }
+      cursor = res.next;
+    } while (cursor);
+  }
+
+  //
+  // find() - run a mango query within this dao's partition, returns
+  // { docs, bookmark }, pass the bookmark back to get the next page. The
+  // docs are upgraded unless opts.fields picks only some of their fields.
+  //
+  async find(selector, opts = {}) {
+    assert(
+      selector && typeof selector === 'object' && !Array.isArray(selector),
+      new BadArgumentError('invalid selector')
+    );
+    assert(typeof opts === 'object', new BadArgumentError('invalid options'));
+    const { fields, sort, limit, skip, bookmark, index } = opts;
+    assert(
+      index === undefined || this.indexes[index],
+      new BadArgumentError(`unknown index: ${index}`)
+    );
+    const query = { selector, fields, sort, limit, skip, bookmark };
+    const hide = [];
+    if (this.constructor.softDelete && !this.includeDeleted) {
+      hide.push({ d_at: { $exists: false } });
+    }
+    if (this.constructor.audit) hide.push({ audit_of: { $exists: false } });
+    if (this.strategy.guard) hide.push(this._idRange());
+    if (hide.length) query.selector = { $and: [selector, ...hide] };
+    if (index) query.use_index = [`${this.type}-${index}`, index];
+    Object.keys(query).forEach(
+      key => query[key] === undefined && delete query[key]
+    );
+    this._authorize('list');
+    const res = await this.db
+      .partitionedFind(this.partition, query)
+      .catch(rethrow);
+    const docs = fields ? res.docs : await this._upgradeAll(res.docs);
+    return { docs: this._readable(docs), bookmark: res.bookmark };
+  }
+
+  async findOne(viewName, ...key) {
+    assert(
+      typeof viewName === 'string' && viewName,
+      new BadArgumentError('invalid view')
+    );
+    assert(
+      Array.isArray(key) && key.length > 0,
+      new BadArgumentError('invalid key')
+    );
+    this._authorize('list');
+    const include = this._includes();
+    const load = async () => {
+      const res = await this._view(viewName, {
+        reduce: false,
+        include_docs: true,
+        limit: 2,
+        key,
+      });
+      assert(res.rows.length <= 1, new NotUniqueError('key is not unique'));
+      return res.rows.length ? res.rows[0].doc : null;
+    };
+    const lookup = [this.partition, viewName, key, !!this.includeDeleted];
+    const found = await this._cached(
+      this.cache && `view:${this.cache.epoch}:${JSON.stringify(lookup)}`,
+      load
+    );
+    const [doc = null] = this._readable([await this._upgrade(found)]);
+    const [populated] = await this._populate([doc], include);
+    return populated;
   }
 
   async exists(viewName, ...key) {
-    assert(typeof viewName === 'string' && viewName, 'invalid view');
-    assert(Array.isArray(key) && key.length > 0, 'invalid key');
-    const res = await this.db.partitionedView(this.type, this.type, viewName, {
+    assert(
+      typeof viewName === 'string' && viewName,
+      new BadArgumentError('invalid view')
+    );
+    assert(
+      Array.isArray(key) && key.length > 0,
+      new BadArgumentError('invalid key')
+    );
+    const res = await this._view(viewName, {
       reduce: false,
       include_docs: false,
       limit: 1,
@@ -137,22 +2061,123 @@ class DAO {
   }
 
   async count(viewName, ...key) {
-    assert(typeof viewName === 'string' && viewName, 'invalid view');
-    assert(Array.isArray(key), 'invalid key');
-    const res = await this.db.partitionedView(this.type, this.type, viewName, {
+    assert(
+      typeof viewName === 'string' && viewName,
+      new BadArgumentError('invalid view')
+    );
+    assert(Array.isArray(key), new BadArgumentError('invalid key'));
+    const res = await this._view(viewName, {
       reduce: true,
       key: key.length ? key : undefined,
     });
-    assert(Array.isArray(res.rows));
+    assert(
+      Array.isArray(res.rows),
+      new DatabaseError('unexpected view response')
+    );
     return res.rows.length ? res.rows[0].value : 0;
   }
 
+  //
+  // watch() - follow the changes feed for this dao's documents, returns an
+  // event emitter (see lib/watcher.js) with a stop() method, e.g.
+  //
+  //   const watcher = dao.watch({ since: savedSeq });
+  //   watcher.on('updated', ({ id, rev, seq, doc }) => ...);
+  //   watcher.on('seq', seq => (savedSeq = seq));
+  //
+  // opts: since ('now'), batchSize (100), timeout (60000 ms per longpoll),
+  // backoff (1000 ms) and maxBackoff (30000 ms) between reconnects. A dao
+  // bound to a ctx needs list access and only sees the changes of documents
+  // the ctx may read.
+  //
+  watch(opts = {}) {
+    this._authorize('list');
+    return new Watcher(this.db, {
+      ...opts,
+      prefix: this.idPrefix,
+      classify: change => this._changeType(change),
+    }).start();
+  }
+
+  // 'created', 'updated', 'deleted' or null for changes nobody should see,
+  // or at least not this dao's ctx
+  _changeType({ deleted, doc }) {
+    if (doc && !this._allowed('read', doc)) return null;
+    if (deleted) return 'deleted';
+    if (!doc) return null;
+    const { softDelete, audit } = this.constructor;
+    if (audit && typeof doc.audit_of !== 'undefined') return null;
+    if (softDelete && typeof doc.d_at !== 'undefined') return 'deleted';
+    return parseInt(doc._rev, 10) === 1 ? 'created' : 'updated';
+  }
+
+  designDoc() {
+    const { partitioned, softDelete, audit } = this.constructor;
+    const { guard } = this.strategy;
+    let views = guard ? withGuard(this.views, guard(this.type)) : this.views;
+    if (audit) views = withoutAudit(views);
+    if (softDelete) views = withDeletedViews(views);
+    return designDoc(this.type, views, partitioned);
+  }
+
+  //
+  // ensureDesignDoc() - create or update _design/${type} from the declared
+  // views, only writing to the database when something actually changed.
+  //
+  async ensureDesignDoc() {
+    const wanted = this.designDoc();
+    let current = null;
+    try {
+      current = await this.db.get(wanted._id);
+    } catch (err) {
+      if (err.statusCode !== 404) throw fromCouch(err);
+    }
+    const changes = diffDesignDocs(current, wanted);
+    const updated =
+      !current ||
+      changes.options ||
+      changes.added.length > 0 ||
+      changes.changed.length > 0 ||
+      changes.removed.length > 0;
+    if (!updated) return { updated, ...changes, _rev: current._rev };
+    const doc = current ? { ...current, ...wanted } : wanted; // keeps _rev
+    const res = await this.db.insert(doc).catch(rethrow);
+    return { updated, ...changes, _rev: res.rev };
+  }
+
+  //
+  // ensureIndexes() - create the declared mango indexes, couchdb leaves
+  // existing ones alone and reports them as 'exists'
+  //
+  async ensureIndexes() {
+    const results = [];
+    for (const name of Object.keys(this.indexes)) {
+      const res = await this.db
+        .createIndex({
+          index: this.indexes[name],
+          ddoc: `${this.type}-${name}`,
+          name,
+          type: 'json',
+          partitioned: true,
+        })
+        .catch(rethrow);
+      results.push({ name, result: res.result });
+    }
+    return results;
+  }
+
   info(doc) {
-    assert(typeof doc === 'object', 'bad document');
-    assert(typeof doc._id === 'string' && doc._id, 'invalid document');
-    assert(doc._rev, 'document must already exist');
-    const [ type, id ] = doc._id.split(/:(.+)/);
-    assert(type === this.type, 'document type mismatch');
+    assert(typeof doc === 'object', new BadArgumentError('bad document'));
+    assert(
+      typeof doc._id === 'string' && doc._id,
+      new BadArgumentError('invalid document')
+    );
+    assert(doc._rev, new BadArgumentError('document must already exist'));
+    assert(
+      this._ownsId(doc._id),
+      new TypeMismatchError('document type mismatch')
+    );
+    const id = this._bareId(doc._id);
     return [
       id,
       doc._rev,
@@ -164,15 +2189,33 @@ class DAO {
   }
 
   static _touch(doc, userName) {
-    assert(typeof doc === 'object', 'bad document');
-    assert(typeof userName === 'string', 'bad user name');
-    assert(userName, 'invalid user name');
+    assert(typeof doc === 'object', new BadArgumentError('bad document'));
+    assert(typeof userName === 'string', new BadArgumentError('bad user name'));
+    assert(userName, new BadArgumentError('invalid user name'));
+    const now = this._now();
     if (typeof doc.c_by === 'undefined') {
       doc.c_by = userName;
-      doc.c_at = Math.floor(Date.now() / 1000);
+      doc.c_at = now;
     }
     doc.m_by = userName;
-    doc.m_at = Math.floor(Date.now() / 1000);
+    doc.m_at = now;
+    return doc;
+  }
+
+  // the clock's time in this class's timestamp format
+  static _now() {
+    assert(
+      timestamps.isFormat(this.timestamps),
+      new BadArgumentError('bad timestamp format')
+    );
+    return timestamps.timestamp(this.timestamps, this.clock());
+  }
+
+  // _touch() a document and mark it as (soft) deleted
+  static _touchDeleted(doc, userName) {
+    this._touch(doc, userName);
+    doc.d_by = doc.m_by;
+    doc.d_at = doc.m_at;
     return doc;
   }
 
@@ -180,10 +2223,38 @@ class DAO {
     return this.constructor._touch(doc,userName);
   }
 
+  //
+  // cleanse() - a copy of a document, or of each document in an array (e.g.
+  // from list()), with only the fields ctx may see under the declared
+  // visibility. Without any, documents pass through untouched.
+  //
   cleanse(ctx,doc) {
-    return doc; // by default, don't do anything
+    if (Array.isArray(doc)) return doc.map(item => this.cleanse(ctx, item));
+    const rules = this.visibility;
+    if (!Object.keys(rules).length || !doc || typeof doc !== 'object') {
+      return doc;
+    }
+    return Object.keys(doc).reduce((acc, field) => {
+      const rule = rules[field];
+      if (rule === undefined) {
+        acc[field] = doc[field];
+      } else if (visible(rule, ctx, doc)) {
+        const bare = field === '_id' && rule.as;
+        acc[rule.as || field] = bare ? this._bareId(doc._id) : doc[field];
+      }
+      return acc;
+    }, {});
   }
 
 }
 
 module.exports = DAO;
+
+// expose the error classes, e.g. `err instanceof DAO.NotFoundError`
+Object.assign(module.exports, errors);
+
+// the partition strategies, see DAO.partitionStrategy
+module.exports.partitions = {
+  byType: partitions.byType,
+  byTenant: partitions.byTenant,
+};
@@ -1,11 +1,16 @@
 const DAO = require('./dao.js');
+const MemoryDB = require('./lib/memory-db');
 const nano = require('nano');
 
-const COUCHDB = `${process.env.COUCHDB}-${Math.floor(Date.now() / 1000)}`;
+// run against a real couchdb when COUCHDB is set, otherwise in memory
+const COUCHDB =
+  process.env.COUCHDB &&
+  `${process.env.COUCHDB}-${Math.floor(Date.now() / 1000)}`;
 
-const db = nano(COUCHDB);
+const db = COUCHDB ? nano(COUCHDB) : new MemoryDB();
 
 const { generate: _uuid } = require('short-uuid');
+const { Readable } = require('stream');
 
 const serviceUrl = url => {
   const { protocol, username, password, host } = new URL(url);
@@ -17,55 +22,62 @@ const dbName = url => {
   return name;
 };
 
+class Widget extends DAO {
+  static views = {
+    'display-order': {
+      reduce: '_count',
+      map: ({ _id, name, label }) =>
+        _id.split(':')[0] === 'WIDGET' &&
+        name &&
+        emit([name.toUpperCase()], {
+          id: _id.split(':')[1],
+          name,
+          label,
+        }),
+    },
+    'by-name': {
+      reduce: '_count',
+      map: ({ _id, name }) =>
+        _id.split(':')[0] === 'WIDGET' && name && emit([name], 1),
+    },
+    'by-status': {
+      reduce: '_count',
+      map: ({ _id, status }) =>
+        _id.split(':')[0] === 'WIDGET' && status && emit([status], 1),
+    },
+    'by-type': {
+      reduce: '_count',
+      map: ({ _id, type }) =>
+        _id.split(':')[0] === 'WIDGET' && type && emit([type], 1),
+    },
+    'by-type-status': {
+      reduce: '_count',
+      map: ({ _id, type, status }) =>
+        _id.split(':')[0] === 'WIDGET' &&
+        type &&
+        status &&
+        emit([type, status], 1),
+    },
+  };
+
+  static indexes = {
+    'by-status-type': { fields: ['status', 'type'] },
+  };
+}
+
 describe('dao', () => {
   beforeAll(async () => {
-    const url = new URL(COUCHDB);
-    expect(url.protocol).toMatch(/^https?:/);
-    const service = nano(serviceUrl(COUCHDB));
-    const name = dbName(COUCHDB);
-    expect(name).toMatch(/[a-z][a-z0-9_-]*/);
-
-    await service.db.create(name, { partitioned: true });
-
-    db.insert({
-      _id: '_design/WIDGET',
-      views: {
-        'display-order': {
-          reduce: '_count',
-          map: ({ _id, name, label }) =>
-            _id.split(':')[0] === 'WIDGET' &&
-            name &&
-            emit([name.toUpperCase()], {
-              id: _id.split(':')[1],
-              name,
-              label,
-            }),
-        },
-        'by-name': {
-          reduce: '_count',
-          map: ({ _id, name }) =>
-            _id.split(':')[0] === 'WIDGET' && name && emit([name], 1),
-        },
-        'by-status': {
-          reduce: '_count',
-          map: ({ _id, status }) =>
-            _id.split(':')[0] === 'WIDGET' && status && emit([status], 1),
-        },
-        'by-type': {
-          reduce: '_count',
-          map: ({ _id, type }) =>
-            _id.split(':')[0] === 'WIDGET' && type && emit([type], 1),
-        },
-        'by-type-status': {
-          reduce: '_count',
-          map: ({ _id, type, status }) =>
-            _id.split(':')[0] === 'WIDGET' &&
-            type &&
-            status &&
-            emit([type, status], 1),
-        },
-      },
-    });
+    if (COUCHDB) {
+      const url = new URL(COUCHDB);
+      expect(url.protocol).toMatch(/^https?:/);
+      const service = nano(serviceUrl(COUCHDB));
+      const name = dbName(COUCHDB);
+      expect(name).toMatch(/[a-z][a-z0-9_-]*/);
+
+      await service.db.create(name, { partitioned: true });
+    }
+
+    await new Widget('WIDGET', db).ensureDesignDoc();
 
     // insert some known documents...
     const docs = [
@@ -223,6 +235,70 @@ describe('dao', () => {
     });
   });
 
+  describe('schema composition', () => {
+    class Widget extends DAO {
+      static properties = {
+        name: { $ref: 'Slug' },
+        sku: { type: 'string', format: 'sku' },
+      };
+      static required = ['name'];
+      static schemas = [
+        { id: '/Slug', type: 'string', pattern: '^[a-z0-9-]+$' },
+      ];
+      static formats = { sku: input => /^[A-Z]{3}-[0-9]+$/.test(input) };
+    }
+
+    class SpecialWidget extends Widget {
+      static properties = { level: { type: 'integer' } };
+      static required = ['level'];
+    }
+
+    const base = {
+      _id: 'WIDGET:test',
+      c_by: 'admin',
+      c_at: Math.floor(Date.now() / 1000),
+      m_by: 'admin',
+      m_at: Math.floor(Date.now() / 1000),
+    };
+
+    it('merges subclass properties with the base document schema', () => {
+      const dao = new Widget('WIDGET', db);
+      expect(dao.schema.required).toEqual([
+        '_id',
+        'c_by',
+        'c_at',
+        'm_by',
+        'm_at',
+        'name',
+      ]);
+      expect(dao.validate({}).errors.length).toBe(6);
+      expect(dao.validate({ ...base, name: 'a-widget' }).valid).toBe(true);
+    });
+
+    it('validates against subclass sub-schemas and formats', () => {
+      const dao = new Widget('WIDGET', db);
+      const v = dao.validate({ ...base, name: 'Not A Slug', sku: 'abc' });
+      expect(v.errors.length).toBe(2);
+      expect(dao.validate({ ...base, name: 'ok', sku: 'ABC-1' }).valid).toBe(
+        true
+      );
+    });
+
+    it('still checks the document id pattern', () => {
+      const dao = new Widget('WIDGET', db);
+      const v = dao.validate({ ...base, _id: 'XXX:test', name: 'ok' });
+      expect(v.errors.length).toBe(1);
+    });
+
+    it('accumulates declarations down the class chain', () => {
+      const dao = new SpecialWidget('WIDGET', db);
+      expect(dao.schema.required).toContain('name');
+      expect(dao.schema.required).toContain('level');
+      const v = dao.validate({ ...base, name: 'Bad Name', level: 'high' });
+      expect(v.errors.length).toBe(2);
+    });
+  });
+
   describe('dao.create()', () => {
     const dao = new DAO('WIDGET', db);
 
@@ -240,6 +316,15 @@ describe('dao', () => {
         .catch(err => expect(err.message).toBe('invalid document'));
     });
 
+    it('reports validation errors', () => {
+      expect.assertions(3);
+      return dao.create({}).catch(err => {
+        expect(err).toBeInstanceOf(DAO.ValidationError);
+        expect(err.statusCode).toBe(400);
+        expect(err.errors.length).toBe(5);
+      });
+    });
+
     it('prevents an insert of a document with an _rev', () => {
       expect.assertions(1);
       return dao
@@ -284,6 +369,23 @@ describe('dao', () => {
       const d = await db.insert(doc);
       return dao.create(doc).catch(err => expect(err.statusCode).toBe(409));
     });
+
+    it('translates a conflict into a ConflictError', async () => {
+      expect.assertions(2);
+      const _ID = `WIDGET:insert-test-3-${_uuid()}`;
+      const doc = {
+        _id: _ID,
+        c_by: 'admin',
+        c_at: Math.floor(Date.now() / 1000),
+        m_by: 'admin',
+        m_at: Math.floor(Date.now() / 1000),
+      };
+      await db.insert(doc);
+      return dao.create(doc).catch(err => {
+        expect(err).toBeInstanceOf(DAO.ConflictError);
+        expect(err.cause.statusCode).toBe(409);
+      });
+    });
   });
 
   describe('dao.retrieve()', () => {
@@ -310,6 +412,13 @@ describe('dao', () => {
         .catch(err => expect(err.message).toBe('bad document id'));
     });
 
+    it('fails with a BadArgumentError', () => {
+      expect.assertions(1);
+      return dao
+        .retrieve('')
+        .catch(err => expect(err).toBeInstanceOf(DAO.BadArgumentError));
+    });
+
     it('retrieves an existing document', async () => {
       const ID = `test-retrieve-1-${_uuid()}`;
       const _ID = `WIDGET:${ID}`;
@@ -333,6 +442,67 @@ describe('dao', () => {
     });
   });
 
+  describe('dao.retrieveMany()', () => {
+    const dao = new DAO('WIDGET', db);
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('retrieves documents in order with one request', async () => {
+      const list = jest.spyOn(db, 'partitionedList');
+      const docs = await dao.retrieveMany([
+        'known-2',
+        'does-not-exist',
+        'known-1',
+        'known-2',
+      ]);
+      expect(docs.map(doc => doc && doc._id)).toEqual([
+        'WIDGET:known-2',
+        null,
+        'WIDGET:known-1',
+        'WIDGET:known-2',
+      ]);
+      expect(list).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns null for deleted documents', async () => {
+      const doc = await dao.create(
+        DAO._touch({ _id: `WIDGET:many-${_uuid()}` }, 'admin')
+      );
+      const [, id] = doc._id.split(/:(.+)/);
+      await dao.delete(id, doc);
+      expect(await dao.retrieveMany([id, 'known-1'])).toEqual([
+        null,
+        expect.objectContaining({ _id: 'WIDGET:known-1' }),
+      ]);
+      expect(await dao.retrieveMany([])).toEqual([]);
+    });
+
+    it('refuses bad ids', async () => {
+      await expect(dao.retrieveMany(['known-1', ''])).rejects.toThrow(
+        'bad document ids'
+      );
+    });
+
+    it('batches retrieves made in the same tick', async () => {
+      class Batched extends DAO {
+        static batchRetrieve = true;
+      }
+      const batched = new Batched('WIDGET', db);
+      const list = jest.spyOn(db, 'partitionedList');
+      const get = jest.spyOn(db, 'get');
+      const docs = await Promise.all(
+        ['known-1', 'known-3', 'nope'].map(id => batched.retrieve(id))
+      );
+      expect(docs.map(doc => doc && doc._id)).toEqual([
+        'WIDGET:known-1',
+        'WIDGET:known-3',
+        null,
+      ]);
+      expect(list).toHaveBeenCalledTimes(1);
+      expect(get).not.toHaveBeenCalled();
+    });
+  });
+
   describe('dao.update()', () => {
     const dao = new DAO('WIDGET', db);
 
@@ -379,7 +549,7 @@ describe('dao', () => {
     });
 
     it('detects a document id mismatch', () => {
-      expect.assertions(1);
+      expect.assertions(2);
       const doc = {
         _id: 'WIDGET:test-1',
         _rev: '1-123456789',
@@ -389,9 +559,10 @@ describe('dao', () => {
         m_at: Math.floor(Date.now() / 1000),
         test: 'initial-value',
       };
-      return dao
-        .update('test-2', doc)
-        .catch(err => expect(err.message).toBe('document id mismatch'));
+      return dao.update('test-2', doc).catch(err => {
+        expect(err).toBeInstanceOf(DAO.TypeMismatchError);
+        expect(err.message).toBe('document id mismatch');
+      });
     });
 
     it('detect a missing _rev', () => {
@@ -430,6 +601,280 @@ describe('dao', () => {
     });
   });
 
+  describe('dao.modify()', () => {
+    const dao = new DAO('WIDGET', db);
+
+    const existing = async () => {
+      const ID = `test-modify-${_uuid()}`;
+      await db.insert({
+        _id: `WIDGET:${ID}`,
+        c_by: 'admin',
+        c_at: Math.floor(Date.now() / 1000) - 10,
+        m_by: 'admin',
+        m_at: Math.floor(Date.now() / 1000) - 10,
+        counter: 0,
+      });
+      return ID;
+    };
+
+    // simulate another writer getting in first
+    const interfere = async ID => {
+      const doc = await db.get(`WIDGET:${ID}`);
+      await db.insert({ ...doc, counter: doc.counter + 100 });
+    };
+
+    it('fails without a document id', () => {
+      expect.assertions(1);
+      return dao
+        .modify()
+        .catch(err => expect(err.message).toBe('bad document id'));
+    });
+
+    it('fails without a mutator', () => {
+      expect.assertions(1);
+      return dao
+        .modify('test-modify-id')
+        .catch(err => expect(err.message).toBe('bad mutator'));
+    });
+
+    it('modifies and touches a document', async () => {
+      const ID = await existing();
+      const doc = await dao.modify(
+        ID,
+        doc => {
+          doc.counter++;
+        },
+        'test'
+      );
+      expect(doc.counter).toBe(1);
+      expect(doc.m_by).toBe('test');
+      expect(doc.c_by).toBe('admin');
+      const persisted = await db.get(`WIDGET:${ID}`);
+      expect(persisted._rev).toBe(doc._rev);
+      expect(persisted.counter).toBe(1);
+    });
+
+    it('accepts a new document from an async mutator', async () => {
+      const ID = await existing();
+      const doc = await dao.modify(
+        ID,
+        async ({ _rev, ...doc }) => ({ ...doc, counter: 5 }),
+        'test'
+      );
+      expect(doc.counter).toBe(5);
+    });
+
+    it('retries after a conflict', async () => {
+      const ID = await existing();
+      let calls = 0;
+      const doc = await dao.modify(
+        ID,
+        async doc => {
+          if (calls++ === 0) await interfere(ID);
+          doc.counter++;
+        },
+        'test',
+        { backoff: 1 }
+      );
+      expect(calls).toBe(2);
+      expect(doc.counter).toBe(101);
+    });
+
+    it('gives up after too many conflicts', async () => {
+      expect.assertions(2);
+      const ID = await existing();
+      let calls = 0;
+      return dao
+        .modify(
+          ID,
+          async doc => {
+            calls++;
+            await interfere(ID);
+          },
+          'test',
+          { retries: 2, backoff: 1 }
+        )
+        .catch(err => {
+          expect(err).toBeInstanceOf(DAO.ConflictError);
+          expect(calls).toBe(3);
+        });
+    });
+
+    it('does not retry invalid documents', async () => {
+      expect.assertions(1);
+      const ID = await existing();
+      return dao
+        .modify(ID, doc => ({ ...doc, c_at: 'yesterday' }), 'test')
+        .catch(err => expect(err).toBeInstanceOf(DAO.ValidationError));
+    });
+
+    it('returns null when a document does not exist', async () => {
+      const doc = await dao.modify('does-not-exist', doc => doc, 'test');
+      expect(doc).toBe(null);
+    });
+  });
+
+  describe('dao.patch()', () => {
+    class Counter extends DAO {
+      static properties = {
+        counter: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' } },
+      };
+    }
+
+    let interfering = false;
+    const dao = new Counter('WIDGET', db).addHook('beforeUpdate', async doc => {
+      if (!interfering) return;
+      interfering = false;
+      const stored = await db.get(doc._id);
+      await db.insert({ ...stored, counter: stored.counter + 100 });
+    });
+
+    const existing = async () => {
+      const ID = `test-patch-${_uuid()}`;
+      const ts = Math.floor(Date.now() / 1000) - 10;
+      await db.insert({
+        _id: `WIDGET:${ID}`,
+        c_by: 'admin',
+        c_at: ts,
+        m_by: 'admin',
+        m_at: ts,
+        counter: 0,
+        tags: ['a'],
+        extra: { keep: true, drop: true },
+      });
+      return ID;
+    };
+
+    it('applies merge patches', async () => {
+      const ID = await existing();
+      const doc = await dao.patch(
+        ID,
+        { counter: 1, extra: { drop: null }, c_by: 'mallory', _id: 'x' },
+        { user: 'editor' }
+      );
+      expect(doc).toMatchObject({
+        _id: `WIDGET:${ID}`,
+        counter: 1,
+        tags: ['a'],
+        extra: { keep: true },
+        c_by: 'admin',
+        m_by: 'editor',
+      });
+      expect((await db.get(`WIDGET:${ID}`))._rev).toBe(doc._rev);
+    });
+
+    it('leaves attachments and the schema version alone', async () => {
+      const ID = await existing();
+      const stored = await db.get(`WIDGET:${ID}`);
+      await db.insert({
+        ...stored,
+        _attachments: {
+          'notes.txt': { content_type: 'text/plain', data: 'aGk=' },
+        },
+      });
+      const merged = await dao.patch(
+        ID,
+        { counter: 1, _attachments: null, s_v: 7 },
+        { user: 'editor' }
+      );
+      expect(Object.keys(merged._attachments)).toEqual(['notes.txt']);
+      expect(merged.s_v).toBe(undefined);
+      const patched = await dao.patch(
+        ID,
+        [
+          { op: 'remove', path: '/_attachments' },
+          { op: 'add', path: '/s_v', value: 7 },
+        ],
+        { user: 'editor' }
+      );
+      expect(Object.keys(patched._attachments)).toEqual(['notes.txt']);
+      expect(patched.s_v).toBe(undefined);
+    });
+
+    it('applies JSON Patches, test included', async () => {
+      const ID = await existing();
+      const doc = await dao.patch(
+        ID,
+        [
+          { op: 'test', path: '/counter', value: 0 },
+          { op: 'replace', path: '/counter', value: 2 },
+          { op: 'add', path: '/tags/-', value: 'b' },
+          { op: 'remove', path: '/m_by' },
+        ],
+        { user: 'editor' }
+      );
+      expect(doc).toMatchObject({ counter: 2, tags: ['a', 'b'] });
+      expect(doc.m_by).toBe('editor');
+      await expect(
+        dao.patch(ID, [{ op: 'test', path: '/counter', value: 0 }], {
+          user: 'editor',
+        })
+      ).rejects.toThrow('patch test failed: /counter');
+      await expect(
+        dao.patch(ID, [{ op: 'remove', path: '/nope' }], { user: 'editor' })
+      ).rejects.toThrow(DAO.BadArgumentError);
+    });
+
+    it('validates the patched document', async () => {
+      const ID = await existing();
+      await expect(
+        dao.patch(ID, { tags: [1] }, { user: 'editor' })
+      ).rejects.toThrow(DAO.ValidationError);
+      await expect(
+        dao.patch(ID, [{ op: 'replace', path: '', value: 'x' }], {
+          user: 'editor',
+        })
+      ).rejects.toThrow('patch leaves no document');
+    });
+
+    it('enforces a pinned rev', async () => {
+      const ID = await existing();
+      const { _rev } = await db.get(`WIDGET:${ID}`);
+      const doc = await dao.patch(ID, { counter: 1 }, { rev: _rev, user: 'a' });
+      expect(doc.counter).toBe(1);
+      await expect(
+        dao.patch(ID, { counter: 2 }, { rev: _rev, user: 'a' })
+      ).rejects.toThrow('document has changed');
+      interfering = true;
+      await expect(
+        dao.patch(ID, { counter: 2 }, { rev: doc._rev, user: 'a' })
+      ).rejects.toThrow(DAO.ConflictError);
+    });
+
+    it('retries conflicts without a pinned rev', async () => {
+      const ID = await existing();
+      interfering = true;
+      const doc = await dao.patch(
+        ID,
+        [{ op: 'add', path: '/tags/-', value: 'b' }],
+        { user: 'a', backoff: 1 }
+      );
+      expect(doc).toMatchObject({ counter: 100, tags: ['a', 'b'] });
+    });
+
+    it('takes the user from ctx', async () => {
+      const ID = await existing();
+      const doc = await dao
+        .withContext({ user: 'carol' })
+        .patch(ID, { counter: 3 });
+      expect(doc.m_by).toBe('carol');
+      await expect(dao.patch(ID, { counter: 4 })).rejects.toThrow(
+        'no user in ctx'
+      );
+    });
+
+    it('refuses bad arguments', async () => {
+      await expect(dao.patch('x', 'nope', { user: 'a' })).rejects.toThrow(
+        'bad patch'
+      );
+      await expect(dao.patch('x', {}, { rev: 3, user: 'a' })).rejects.toThrow(
+        'bad rev'
+      );
+      expect(await dao.patch('does-not-exist', {}, { user: 'a' })).toBe(null);
+    });
+  });
+
   describe('dao.delete()', () => {
     const dao = new DAO('WIDGET', db);
 
@@ -525,6 +970,139 @@ describe('dao', () => {
     });
   });
 
+  describe('dao.createMany()', () => {
+    const dao = new DAO('WIDGET', db);
+
+    const fresh = label => ({
+      _id: `WIDGET:bulk-${label}-${_uuid()}`,
+      c_by: 'admin',
+      c_at: Math.floor(Date.now() / 1000),
+      m_by: 'admin',
+      m_at: Math.floor(Date.now() / 1000),
+      test: label,
+    });
+
+    it('fails without an array of documents', () => {
+      expect.assertions(1);
+      return dao
+        .createMany()
+        .catch(err => expect(err.message).toBe('bad documents'));
+    });
+
+    it('fails with a bad chunk size', () => {
+      expect.assertions(1);
+      return dao
+        .createMany([], { chunkSize: 0 })
+        .catch(err => expect(err.message).toBe('invalid chunk size'));
+    });
+
+    it('creates documents and reports each result', async () => {
+      const existing = fresh('existing');
+      await db.insert(existing);
+      const docs = [
+        fresh('a'),
+        {},
+        { ...fresh('b'), _rev: '1-123' },
+        { ...fresh('c'), _id: 'GADGET:c' },
+        existing,
+        fresh('d'),
+      ];
+      const results = await dao.createMany(docs, { chunkSize: 2 });
+      expect(results.map(res => res.status)).toEqual([
+        'ok',
+        'invalid',
+        'invalid',
+        'invalid',
+        'conflict',
+        'ok',
+      ]);
+      expect(results[0].doc._rev).toBe(results[0].rev);
+      expect(results[0].doc.test).toBe('a');
+      expect(results[1].error).toBeInstanceOf(DAO.ValidationError);
+      expect(results[2].error.message).toBe('document may already exist');
+      expect(results[3].error).toBeInstanceOf(DAO.ValidationError);
+      expect(results[4].error).toBeInstanceOf(DAO.ConflictError);
+      const persisted = await db.get(docs[5]._id);
+      expect(persisted._rev).toBe(results[5].rev);
+    });
+
+    it('sends documents in chunks', async () => {
+      const spy = jest.spyOn(db, 'bulk');
+      const docs = [fresh('e'), fresh('f'), fresh('g')];
+      await dao.createMany(docs, { chunkSize: 2 });
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy.mock.calls[0][0].docs.length).toBe(2);
+      spy.mockRestore();
+    });
+  });
+
+  describe('dao.updateMany()', () => {
+    const dao = new DAO('WIDGET', db);
+
+    it('updates documents and reports each result', async () => {
+      const docs = [];
+      for (const label of ['a', 'b']) {
+        const doc = {
+          _id: `WIDGET:bulk-update-${label}-${_uuid()}`,
+          c_by: 'admin',
+          c_at: Math.floor(Date.now() / 1000),
+          m_by: 'admin',
+          m_at: Math.floor(Date.now() / 1000),
+          test: 'initial-value',
+        };
+        const res = await db.insert(doc);
+        docs.push({ ...doc, _rev: res.rev, test: 'updated-value' });
+      }
+      const { _rev, ...missingRev } = docs[0];
+      const stale = { ...docs[1], _rev: '1-0123456789' };
+      const results = await dao.updateMany([
+        docs[0],
+        missingRev,
+        stale,
+        docs[1],
+      ]);
+      expect(results.map(res => res.status)).toEqual([
+        'ok',
+        'invalid',
+        'conflict',
+        'ok',
+      ]);
+      expect(results[1].error.message).toBe('document must already exist');
+      expect(results[3].doc.test).toBe('updated-value');
+      const persisted = await db.get(docs[0]._id);
+      expect(persisted.test).toBe('updated-value');
+      expect(persisted._rev).toBe(results[0].rev);
+    });
+  });
+
+  describe('dao.deleteMany()', () => {
+    const dao = new DAO('WIDGET', db);
+
+    it('deletes documents and reports each result', async () => {
+      const doc = {
+        _id: `WIDGET:bulk-delete-${_uuid()}`,
+        c_by: 'admin',
+        c_at: Math.floor(Date.now() / 1000),
+        m_by: 'admin',
+        m_at: Math.floor(Date.now() / 1000),
+      };
+      const res = await db.insert(doc);
+      const results = await dao.deleteMany([
+        { ...doc, _rev: res.rev },
+        { _id: 'GADGET:1', _rev: '1-123' },
+        123,
+      ]);
+      expect(results.map(res => res.status)).toEqual([
+        'ok',
+        'invalid',
+        'invalid',
+      ]);
+      expect(results[1].error).toBeInstanceOf(DAO.TypeMismatchError);
+      expect(results[2].error.message).toBe('bad document');
+      expect(await dao.retrieve(doc._id.split(':')[1])).toBe(null);
+    });
+  });
+
   describe('dao.list()', () => {
     const dao = new DAO('WIDGET', db);
 
@@ -574,6 +1152,242 @@ describe('dao', () => {
     });
   });
 
+  describe('dao.page()', () => {
+    const dao = new Widget('WIDGET', db);
+
+    it('fails without a view name', () => {
+      expect.assertions(1);
+      return dao.page().catch(err => expect(err.message).toBe('invalid view'));
+    });
+
+    it('fails with a bad limit', () => {
+      expect.assertions(1);
+      return dao
+        .page('display-order', { limit: 0 })
+        .catch(err => expect(err.message).toBe('invalid limit'));
+    });
+
+    it('fails with a bad cursor', () => {
+      expect.assertions(1);
+      return dao
+        .page('display-order', { cursor: 'not-a-cursor' })
+        .catch(err => expect(err.message).toBe('invalid cursor'));
+    });
+
+    it('fails with a cursor from another view', async () => {
+      expect.assertions(1);
+      const { next } = await dao.page('by-name', { limit: 1 });
+      return dao
+        .page('display-order', { cursor: next })
+        .catch(err => expect(err.message).toBe('invalid cursor'));
+    });
+
+    it('pages forwards and backwards', async () => {
+      const first = await dao.page('display-order', { limit: 2 });
+      expect(first.items.map(doc => doc._id)).toEqual([
+        'WIDGET:known-1',
+        'WIDGET:known-2',
+      ]);
+      expect(first.prev).toBe(null);
+      expect(typeof first.next).toBe('string');
+
+      const second = await dao.page('display-order', {
+        limit: 2,
+        cursor: first.next,
+      });
+      expect(second.items.map(doc => doc._id)).toEqual(['WIDGET:known-3']);
+      expect(second.next).toBe(null);
+
+      const back = await dao.page('display-order', {
+        limit: 2,
+        cursor: second.prev,
+      });
+      expect(back.items.map(doc => doc._id)).toEqual([
+        'WIDGET:known-1',
+        'WIDGET:known-2',
+      ]);
+      expect(back.prev).toBe(null);
+      expect(back.next).toBe(first.next);
+    });
+
+    it('pages in descending order', async () => {
+      const first = await dao.page('display-order', {
+        limit: 2,
+        descending: true,
+      });
+      expect(first.items.map(doc => doc._id)).toEqual([
+        'WIDGET:known-3',
+        'WIDGET:known-2',
+      ]);
+      const second = await dao.page('display-order', {
+        limit: 2,
+        descending: true,
+        cursor: first.next,
+      });
+      expect(second.items.map(doc => doc._id)).toEqual(['WIDGET:known-1']);
+      await expect(
+        dao.page('display-order', { limit: 2, cursor: first.next })
+      ).rejects.toThrow('invalid cursor');
+    });
+
+    it('pages through values when !opts.include_docs', async () => {
+      const first = await dao.page('display-order', {
+        limit: 1,
+        include_docs: false,
+      });
+      expect(first.items).toEqual([
+        { id: 'known-1', name: 'known-1', label: 'Known 1' },
+      ]);
+      const second = await dao.page('display-order', {
+        limit: 1,
+        include_docs: false,
+        cursor: first.next,
+      });
+      expect(second.items[0].id).toBe('known-2');
+    });
+
+    it('pages through documents sharing a key', async () => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const res = await dao.page('by-status', {
+          limit: 1,
+          key: ['ACTIVE'],
+          cursor,
+        });
+        seen.push(...res.items.map(doc => doc._id));
+        cursor = res.next;
+      } while (cursor);
+      expect(seen).toEqual(['WIDGET:known-1', 'WIDGET:known-2']);
+    });
+  });
+
+  describe('dao.iterate()', () => {
+    const dao = new Widget('WIDGET', db);
+
+    const collect = async iterable => {
+      const items = [];
+      for await (const item of iterable) items.push(item);
+      return items;
+    };
+
+    it('fails with a bad batch size', () => {
+      expect.assertions(1);
+      return collect(dao.iterate('display-order', { batchSize: 0 })).catch(
+        err => expect(err.message).toBe('invalid batch size')
+      );
+    });
+
+    it('walks every document in a view', async () => {
+      const docs = await collect(
+        dao.iterate('display-order', { batchSize: 2 })
+      );
+      expect(docs.map(doc => doc._id)).toEqual([
+        'WIDGET:known-1',
+        'WIDGET:known-2',
+        'WIDGET:known-3',
+      ]);
+    });
+
+    it('walks values when !opts.include_docs', async () => {
+      const values = await collect(
+        dao.iterate('display-order', { batchSize: 1, include_docs: false })
+      );
+      expect(values.map(value => value.id)).toEqual([
+        'known-1',
+        'known-2',
+        'known-3',
+      ]);
+    });
+
+    it('reads the view in batches', async () => {
+      const spy = jest.spyOn(db, 'partitionedView');
+      await collect(dao.iterate('display-order', { batchSize: 2 }));
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy.mock.calls[0][3].limit).toBe(3);
+      spy.mockRestore();
+    });
+
+    it('stops when aborted', async () => {
+      expect.assertions(3);
+      const signal = { aborted: false }; // anything shaped like an AbortSignal
+      const seen = [];
+      try {
+        for await (const doc of dao.iterate('display-order', {
+          batchSize: 2,
+          signal,
+        })) {
+          seen.push(doc._id);
+          signal.aborted = true;
+        }
+      } catch (err) {
+        expect(err).toBeInstanceOf(DAO.AbortError);
+        expect(err.message).toBe('iteration aborted');
+      }
+      expect(seen).toEqual(['WIDGET:known-1']);
+    });
+  });
+
+  describe('dao.ensureIndexes()', () => {
+    const dao = new Widget('WIDGET', db);
+
+    it('creates the declared indexes', async () => {
+      const first = await dao.ensureIndexes();
+      expect(first).toEqual([{ name: 'by-status-type', result: 'created' }]);
+      const again = await dao.ensureIndexes();
+      expect(again).toEqual([{ name: 'by-status-type', result: 'exists' }]);
+    });
+  });
+
+  describe('dao.find()', () => {
+    const dao = new Widget('WIDGET', db);
+
+    it('fails without a selector', () => {
+      expect.assertions(1);
+      return dao
+        .find()
+        .catch(err => expect(err.message).toBe('invalid selector'));
+    });
+
+    it('fails with an unknown index', () => {
+      expect.assertions(1);
+      return dao
+        .find({ status: 'ACTIVE' }, { index: 'no-such-index' })
+        .catch(err => expect(err.message).toBe('unknown index: no-such-index'));
+    });
+
+    it('finds documents matching a selector', async () => {
+      const { docs, bookmark } = await dao.find(
+        { status: 'ACTIVE', type: 'T1' },
+        { index: 'by-status-type' }
+      );
+      expect(docs.map(doc => doc._id)).toEqual(['WIDGET:known-1']);
+      expect(typeof bookmark).toBe('string');
+    });
+
+    it('sorts, limits and projects', async () => {
+      const { docs } = await dao.find(
+        { name: { $regex: '^known-' } },
+        { fields: ['_id', 'name'], sort: [{ name: 'desc' }], limit: 2 }
+      );
+      expect(docs).toEqual([
+        { _id: 'WIDGET:known-3', name: 'known-3' },
+        { _id: 'WIDGET:known-2', name: 'known-2' },
+      ]);
+    });
+
+    it('pages with a bookmark', async () => {
+      const selector = { status: { $in: ['ACTIVE', 'INACTIVE'] } };
+      const first = await dao.find(selector, { limit: 2 });
+      expect(first.docs.length).toBe(2);
+      const second = await dao.find(selector, {
+        limit: 2,
+        bookmark: first.bookmark,
+      });
+      expect(second.docs.length).toBe(1);
+    });
+  });
+
   describe('dao.findOne()', () => {
     const dao = new DAO('WIDGET', db);
 
@@ -615,6 +1429,21 @@ describe('dao', () => {
         .findOne('by-status', 'ACTIVE')
         .catch(err => expect(err.message).toBe('key is not unique'));
     });
+
+    it('fails with a NotUniqueError when a key is not unique', () => {
+      expect.assertions(2);
+      return dao.findOne('by-status', 'ACTIVE').catch(err => {
+        expect(err).toBeInstanceOf(DAO.NotUniqueError);
+        expect(err.statusCode).toBe(409);
+      });
+    });
+
+    it('fails with a NotFoundError for an unknown view', () => {
+      expect.assertions(1);
+      return dao
+        .findOne('no-such-view', 'known-1')
+        .catch(err => expect(err).toBeInstanceOf(DAO.NotFoundError));
+    });
   });
 
   describe('dao.exists()', () => {
@@ -698,6 +1527,1660 @@ describe('dao', () => {
     });
   });
 
+  describe('dao.watch()', () => {
+    const dao = new DAO('WIDGET', db);
+
+    // resolves to the first n change events of a watcher
+    const changes = (watcher, n) =>
+      new Promise(resolve => {
+        const seen = [];
+        watcher.on('change', event => {
+          seen.push(event);
+          if (seen.length === n) resolve(seen);
+        });
+      });
+
+    const since = async () => (await db.info()).update_seq;
+
+    it('emits typed events for its own documents', async () => {
+      const watcher = dao.watch({ since: await since(), timeout: 50 });
+      const deletes = [];
+      watcher.on('deleted', event => deletes.push(event));
+      const seen = changes(watcher, 3);
+      const id = `watch-${_uuid()}`;
+      const doc = await dao.create(DAO._touch({ _id: `WIDGET:${id}` }, 'me'));
+      await db.insert(DAO._touch({ _id: `OTHER:${id}` }, 'me'));
+      const updated = await dao.update(id, dao.touch({ ...doc }, 'me'));
+      await dao.delete(id, updated);
+      const events = await seen;
+      watcher.stop();
+      expect(events.map(({ type, id }) => [type, id])).toEqual([
+        ['created', id],
+        ['updated', id],
+        ['deleted', id],
+      ]);
+      expect(events[1].doc._rev).toBe(updated._rev);
+      expect(events[1].rev).toBe(updated._rev);
+      expect(deletes).toEqual([events[2]]);
+    });
+
+    it('resumes from a stored sequence', async () => {
+      const first = dao.watch({ since: await since(), timeout: 50 });
+      let seq;
+      first.on('seq', value => (seq = value));
+      const seen = changes(first, 1);
+      const one = `resume-1-${_uuid()}`;
+      await dao.create(DAO._touch({ _id: `WIDGET:${one}` }, 'me'));
+      await seen;
+      first.stop();
+
+      const two = `resume-2-${_uuid()}`;
+      await dao.create(DAO._touch({ _id: `WIDGET:${two}` }, 'me'));
+      const second = dao.watch({ since: seq, timeout: 50 });
+      const [event] = await changes(second, 1);
+      second.stop();
+      expect(event.id).toBe(two);
+    });
+
+    it('reconnects with backoff after errors', async () => {
+      let calls = 0;
+      const flaky = Object.create(db);
+      flaky.server = {
+        request: req =>
+          ++calls < 3
+            ? Promise.reject(
+                Object.assign(new Error('down'), { statusCode: 503 })
+              )
+            : db.server.request(req),
+      };
+      const watcher = new DAO('WIDGET', flaky).watch({
+        since: await since(),
+        timeout: 50,
+        backoff: 5,
+      });
+      const errors = [];
+      watcher.on('error', err => errors.push(err));
+      const seen = changes(watcher, 1);
+      const id = `flaky-${_uuid()}`;
+      await dao.create(DAO._touch({ _id: `WIDGET:${id}` }, 'me'));
+      const [event] = await seen;
+      watcher.stop();
+      expect(event.id).toBe(id);
+      expect(errors.map(err => [err.statusCode, err.delay])).toEqual([
+        [503, 5],
+        [503, 10],
+      ]);
+      expect(errors[0]).toBeInstanceOf(DAO.DatabaseError);
+    });
+  });
+
+  describe('dao.ensureDesignDoc()', () => {
+    class Gadget extends DAO {
+      static views = {
+        'by-name': {
+          reduce: '_count',
+          map: ({ name }) => name && emit([name], 1),
+        },
+        'by-owner': {
+          map: ({ c_by }) => emit([c_by], null),
+        },
+      };
+    }
+
+    class BetterGadget extends Gadget {
+      static views = {
+        'by-owner': {
+          reduce: '_count',
+          map: ({ c_by }) => emit([c_by], null),
+        },
+        'by-label': {
+          map: ({ label }) => label && emit([label], null),
+        },
+      };
+    }
+
+    it('creates the design document', async () => {
+      const dao = new Gadget('GADGET', db);
+      const res = await dao.ensureDesignDoc();
+      expect(res.updated).toBe(true);
+      expect(res.added).toEqual(['by-name', 'by-owner']);
+      const ddoc = await db.get('_design/GADGET');
+      expect(ddoc._rev).toBe(res._rev);
+      expect(ddoc.options.partitioned).toBe(true);
+      expect(ddoc.views['by-name'].reduce).toBe('_count');
+      expect(typeof ddoc.views['by-name'].map).toBe('string');
+    });
+
+    it('leaves an up to date design document alone', async () => {
+      const dao = new Gadget('GADGET', db);
+      const before = await db.get('_design/GADGET');
+      const res = await dao.ensureDesignDoc();
+      expect(res.updated).toBe(false);
+      expect(res._rev).toBe(before._rev);
+    });
+
+    it('reports what changed', async () => {
+      const dao = new BetterGadget('GADGET', db);
+      const res = await dao.ensureDesignDoc();
+      expect(res.updated).toBe(true);
+      expect(res.added).toEqual(['by-label']);
+      expect(res.changed).toEqual(['by-owner']);
+      expect(res.removed).toEqual([]);
+      const ddoc = await db.get('_design/GADGET');
+      expect(ddoc.views['by-owner'].reduce).toBe('_count');
+    });
+
+    it('refuses unknown views', () => {
+      expect.assertions(2);
+      const dao = new Gadget('GADGET', db);
+      return dao.list('no-such-view').catch(err => {
+        expect(err).toBeInstanceOf(DAO.BadArgumentError);
+        expect(err.message).toBe('unknown view: no-such-view');
+      });
+    });
+
+    it('refuses to count a view without a reduce', () => {
+      expect.assertions(1);
+      const dao = new Gadget('GADGET', db);
+      return dao
+        .count('by-owner')
+        .catch(err => expect(err.message).toBe('view has no reduce: by-owner'));
+    });
+  });
+
+  describe('soft delete', () => {
+    class Tool extends DAO {
+      static softDelete = true;
+      static views = {
+        'by-name': {
+          reduce: '_count',
+          map: ({ name }) => name && emit([name], 1),
+        },
+      };
+    }
+
+    const dao = new Tool('TOOL', db);
+    const now = Math.floor(Date.now() / 1000);
+
+    const tool = async name => {
+      const doc = await dao.create(
+        DAO._touch({ _id: `TOOL:${name}-${_uuid()}`, name }, 'admin')
+      );
+      return [doc._id.split(':')[1], doc];
+    };
+
+    beforeAll(async () => {
+      await dao.ensureDesignDoc();
+    });
+
+    it('adds views that include deleted documents', () => {
+      const { views } = dao.designDoc();
+      expect(Object.keys(views)).toEqual(['by-name', 'by-name-with-deleted']);
+    });
+
+    it('requires a user name', async () => {
+      expect.assertions(1);
+      const [id, doc] = await tool('hammer');
+      return dao
+        .delete(id, doc)
+        .catch(err => expect(err.message).toBe('bad user name'));
+    });
+
+    it('stamps and hides deleted documents', async () => {
+      const [id, doc] = await tool('saw');
+      const del = await dao.delete(id, doc, 'test');
+      expect(del.id).toBe(doc._id);
+      expect(del.rev).not.toBe(doc._rev);
+
+      const stored = await db.get(doc._id);
+      expect(stored.d_by).toBe('test');
+      expect(stored.d_at).toBeGreaterThanOrEqual(now);
+      expect(stored.m_by).toBe('test');
+
+      expect(await dao.retrieve(id)).toBe(null);
+      expect(await dao.findOne('by-name', 'saw')).toBe(null);
+      expect(await dao.exists('by-name', 'saw')).toBe(false);
+      expect(await dao.count('by-name', 'saw')).toBe(0);
+      expect(await dao.list('by-name', { key: ['saw'] })).toEqual([]);
+      const { docs } = await dao.find({ name: 'saw' });
+      expect(docs).toEqual([]);
+    });
+
+    it('shows deleted documents when asked', async () => {
+      const [id, doc] = await tool('drill');
+      await dao.delete(id, doc, 'test');
+      const all = dao.withDeleted();
+      expect((await all.retrieve(id)).d_by).toBe('test');
+      expect((await all.findOne('by-name', 'drill'))._id).toBe(doc._id);
+      expect(await all.count('by-name', 'drill')).toBe(1);
+      const { docs } = await all.find({ name: 'drill' });
+      expect(docs.length).toBe(1);
+    });
+
+    it('restores deleted documents', async () => {
+      const [id, doc] = await tool('wrench');
+      await dao.delete(id, doc, 'test');
+      const restored = await dao.restore(id, 'fixer');
+      expect(restored.m_by).toBe('fixer');
+      expect(restored).not.toHaveProperty('d_by');
+      expect(restored).not.toHaveProperty('d_at');
+      expect((await dao.retrieve(id))._rev).toBe(restored._rev);
+      expect(await dao.count('by-name', 'wrench')).toBe(1);
+      expect(await dao.restore('does-not-exist', 'fixer')).toBe(null);
+    });
+
+    it('stamps the stored document, not the one passed in', async () => {
+      const [id, doc] = await tool('level');
+      await dao.delete(id, { _id: doc._id, _rev: doc._rev }, 'mallory');
+      const stored = await db.get(doc._id);
+      expect(stored).toMatchObject({
+        name: 'level',
+        c_by: 'admin',
+        d_by: 'mallory',
+      });
+      const restored = await dao.restore(id, 'fixer');
+      expect(restored).toMatchObject({ name: 'level', c_by: 'admin' });
+
+      await expect(dao.delete(id, doc, 'mallory')).rejects.toThrow(
+        DAO.ConflictError
+      );
+      const results = await dao.deleteMany(
+        [{ _id: doc._id, _rev: doc._rev }],
+        { userName: 'mallory' }
+      );
+      expect(results[0].status).toBe('conflict');
+      const [ok] = await dao.deleteMany(
+        [{ _id: doc._id, _rev: restored._rev, name: 'forged' }],
+        { userName: 'mallory' }
+      );
+      expect(ok.status).toBe('ok');
+      expect((await db.get(doc._id)).name).toBe('level');
+    });
+
+    it('soft deletes in bulk', async () => {
+      const [id, doc] = await tool('chisel');
+      const results = await dao.deleteMany([doc], { userName: 'test' });
+      expect(results[0].status).toBe('ok');
+      expect(await dao.retrieve(id)).toBe(null);
+      expect((await dao.withDeleted().retrieve(id)).d_by).toBe('test');
+    });
+
+    it('purges documents deleted before a cutoff', async () => {
+      const [oldId, oldDoc] = await tool('old');
+      const [newId, newDoc] = await tool('new');
+      await db.insert({ ...oldDoc, d_by: 'test', d_at: now - 3600 });
+      await dao.delete(newId, newDoc, 'test');
+      const res = await dao.purge(now - 60, { batchSize: 1 });
+      expect(res.purged).toBeGreaterThanOrEqual(1);
+      expect(res.failed).toEqual([]);
+      await expect(db.get(oldDoc._id)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(await dao.withDeleted().retrieve(newId)).not.toBe(null);
+      expect(await dao.withDeleted().retrieve(oldId)).toBe(null);
+    });
+
+    it('reports soft deletes as deleted to watchers', async () => {
+      const { update_seq } = await db.info();
+      const watcher = dao.watch({ since: update_seq, timeout: 50 });
+      const seen = new Promise(resolve => watcher.on('deleted', resolve));
+      const [id, doc] = await tool('file');
+      await dao.delete(id, doc, 'test');
+      const event = await seen;
+      watcher.stop();
+      expect(event.id).toBe(id);
+      expect(event.doc.d_by).toBe('test');
+    });
+
+    it('only queries declared views', async () => {
+      class Undeclared extends DAO {
+        static softDelete = true;
+      }
+      const undeclared = new Undeclared('TOOL', db);
+      const [id, doc] = await tool('mallet');
+      await undeclared.delete(id, doc, 'test');
+      expect(await undeclared.retrieve(id)).toBe(null);
+      await expect(undeclared.list('by-name')).rejects.toThrow(
+        'soft delete needs declared views'
+      );
+      await expect(undeclared.count('by-name', 'mallet')).rejects.toThrow(
+        'soft delete needs declared views'
+      );
+    });
+
+    it('refuses restore and purge without soft delete', async () => {
+      const plain = new DAO('WIDGET', db);
+      await expect(plain.restore('known-1', 'admin')).rejects.toThrow(
+        'soft delete is not enabled'
+      );
+      await expect(plain.purge(now)).rejects.toThrow(
+        'soft delete is not enabled'
+      );
+    });
+  });
+
+  describe('audit trail', () => {
+    class Note extends DAO {
+      static audit = true;
+      static views = {
+        'by-title': {
+          reduce: '_count',
+          map: ({ title }) => title && emit([title], 1),
+        },
+      };
+    }
+
+    const dao = new Note('NOTE', db);
+
+    const note = async title => {
+      const id = `${title}-${_uuid()}`;
+      const doc = await dao.create(
+        DAO._touch({ _id: `NOTE:${id}`, title }, 'author')
+      );
+      return [id, doc];
+    };
+
+    beforeAll(async () => {
+      await dao.ensureDesignDoc();
+    });
+
+    it('records creates, updates and deletes', async () => {
+      const [id, doc] = await note('groceries');
+      const updated = await dao.update(id, {
+        ...dao.touch({ ...doc }, 'editor'),
+        body: 'milk',
+      });
+      await dao.delete(id, updated, 'cleaner');
+
+      const history = await dao.history(id);
+      expect(history.map(({ op, actor }) => [op, actor])).toEqual([
+        ['create', 'author'],
+        ['update', 'editor'],
+        ['delete', 'cleaner'],
+      ]);
+      expect(history[0].rev).toBe(null);
+      expect(history[0].diff.title).toEqual({ to: 'groceries' });
+      expect(history[1].rev).toBe(doc._rev);
+      expect(history[1].diff).toEqual({ body: { to: 'milk' } });
+      expect(history[2].rev).toBe(updated._rev);
+      expect(history[2].diff.body).toEqual({ from: 'milk' });
+      expect(history[2].at).toBeGreaterThan(0);
+    });
+
+    it('records bulk changes', async () => {
+      const docs = ['a', 'b'].map(title =>
+        DAO._touch({ _id: `NOTE:bulk-${title}-${_uuid()}`, title }, 'loader')
+      );
+      const created = await dao.createMany(docs);
+      await dao.updateMany(
+        created.map(({ doc }) => ({ ...dao.touch(doc, 'fixer'), done: true }))
+      );
+      const [, id] = docs[0]._id.split(/:(.+)/);
+      const history = await dao.history(id);
+      expect(history.map(({ op, actor }) => [op, actor])).toEqual([
+        ['create', 'loader'],
+        ['update', 'fixer'],
+      ]);
+      expect(history[1].diff).toEqual({ done: { to: true } });
+    });
+
+    it('hides audit entries from reads', async () => {
+      const [id] = await note('hidden');
+      const [entry] = (
+        await db.partitionedList('NOTE', {
+          startkey: `NOTE:${id}@audit-`,
+          endkey: `NOTE:${id}@audit-\ufff0`,
+        })
+      ).rows;
+      expect(await dao.retrieve(entry.id.split(/:(.+)/)[1])).toBe(null);
+      expect(await dao.count('by-title', 'hidden')).toBe(1);
+      const { docs } = await dao.find({ title: 'hidden' });
+      expect(docs.length).toBe(1);
+      const { docs: entries } = await dao.find({ audit_of: `NOTE:${id}` });
+      expect(entries).toEqual([]);
+    });
+
+    it('reserves audit entry ids and audit_of', async () => {
+      const [id, doc] = await note('forged');
+      await expect(
+        dao.create(
+          DAO._touch(
+            { _id: `NOTE:${id}@audit-0000000002`, audit_of: `NOTE:${id}` },
+            'mallory'
+          )
+        )
+      ).rejects.toThrow('reserved for the audit trail');
+      await expect(
+        dao.update(id, { ...dao.touch({ ...doc }, 'x'), audit_of: 'NOTE:y' })
+      ).rejects.toThrow(DAO.BadArgumentError);
+      expect((await dao.history(id)).length).toBe(1);
+      const plain = await new DAO('NOTE', db).create(
+        DAO._touch({ _id: `NOTE:plain-${_uuid()}`, audit_of: 'x' }, 'me')
+      );
+      expect(plain.audit_of).toBe('x');
+    });
+
+    it('does not retry a change whose audit entry failed', async () => {
+      const [id, doc] = await note('leftover');
+      await db.insert({
+        _id: `${doc._id}@audit-0000000002`,
+        audit_of: doc._id,
+      });
+      let calls = 0;
+      await expect(
+        dao.modify(id, current => ({ ...current, calls: ++calls }), 'editor')
+      ).rejects.toThrow(DAO.DatabaseError);
+      expect(calls).toBe(1);
+      expect((await dao.retrieve(id)).calls).toBe(1);
+    });
+
+    it('refuses history without an audit', async () => {
+      const plain = new DAO('WIDGET', db);
+      await expect(plain.history('known-1')).rejects.toThrow(
+        'audit is not enabled'
+      );
+    });
+  });
+
+  describe('hooks', () => {
+    const calls = [];
+
+    class Gizmo extends DAO {
+      static hooks = {
+        beforeValidate: doc => ({ ...doc, name: doc.name.trim() }),
+        afterCreate: (doc, ctx) => calls.push(['afterCreate', doc._id, ctx]),
+      };
+    }
+
+    class LockedGizmo extends Gizmo {
+      static hooks = {
+        beforeValidate: doc => ({ ...doc, name: doc.name.toLowerCase() }),
+        beforeUpdate: doc => {
+          if (doc.locked) throw new DAO.ForbiddenError('gizmo is locked');
+        },
+      };
+    }
+
+    const gizmo = name =>
+      DAO._touch({ _id: `GIZMO:${name.trim()}-${_uuid()}`, name }, 'admin');
+
+    it('runs hooks around create', async () => {
+      const dao = new Gizmo('GIZMO', db).withContext({ user: 'alice' });
+      const doc = await dao.create(gizmo('  sprocket '));
+      expect(doc.name).toBe('sprocket');
+      expect((await db.get(doc._id)).name).toBe('sprocket');
+      expect(calls).toContainEqual(['afterCreate', doc._id, { user: 'alice' }]);
+    });
+
+    it('runs inherited hooks first, then added ones', async () => {
+      const dao = new LockedGizmo('GIZMO', db);
+      dao.addHook('beforeValidate', async doc => ({
+        ...doc,
+        name: `${doc.name}!`,
+      }));
+      const doc = await dao.create(gizmo(' Cog '));
+      expect(doc.name).toBe('cog!');
+    });
+
+    it('vetoes an operation by throwing', async () => {
+      const dao = new LockedGizmo('GIZMO', db);
+      const doc = await dao.create(gizmo('lock'));
+      const [, id] = doc._id.split(/:(.+)/);
+      await expect(
+        dao.update(id, { ...dao.touch(doc, 'admin'), locked: true })
+      ).rejects.toBeInstanceOf(DAO.ForbiddenError);
+      expect((await db.get(doc._id))._rev).toBe(doc._rev);
+
+      const results = await dao.updateMany([
+        { ...doc, locked: true },
+        { ...doc, name: 'Unlocked' },
+      ]);
+      expect(results[0].status).toBe('invalid');
+      expect(results[0].error.message).toBe('gizmo is locked');
+      expect(results[1].status).toBe('ok');
+      expect(results[1].doc.name).toBe('unlocked');
+    });
+
+    it('runs hooks around retrieve and delete', async () => {
+      const seen = [];
+      const dao = new Gizmo('GIZMO', db)
+        .addHook('afterRetrieve', doc => ({ ...doc, retrieved: true }))
+        .addHook('beforeDelete', (doc, ctx) => seen.push(['before', ctx]))
+        .addHook('afterDelete', (doc, ctx) => seen.push(['after', ctx]));
+      const doc = await dao.create(gizmo('gear'));
+      const [, id] = doc._id.split(/:(.+)/);
+      const found = await dao.retrieve(id);
+      expect(found.retrieved).toBe(true);
+      await dao.withContext('ctx').delete(id, doc);
+      expect(seen).toEqual([
+        ['before', 'ctx'],
+        ['after', 'ctx'],
+      ]);
+    });
+
+    it('keeps the hooks of a derived dao to itself', async () => {
+      const seen = [];
+      const dao = new DAO('WIDGET', db).addHook('afterRetrieve', () => {
+        seen.push('base');
+      });
+      const derived = dao
+        .withContext({ user: 'alice' })
+        .addHook('afterRetrieve', () => {
+          seen.push('derived');
+        });
+      const doc = await dao.create(DAO._touch({ _id: dao.uuid() }, 'me'));
+      const [id] = dao.info(doc);
+      await dao.retrieve(id);
+      await derived.retrieve(id);
+      expect(seen).toEqual(['base', 'base', 'derived']);
+      expect(dao.hooks.afterRetrieve.length).toBe(1);
+    });
+
+    it('refuses unknown hooks', () => {
+      class Broken extends DAO {
+        static hooks = { beforeSave: () => {} };
+      }
+      expect(() => new Broken('BROKEN', db)).toThrow(
+        'unknown hook: beforeSave'
+      );
+      expect(() =>
+        new DAO('WIDGET', db).addHook('afterList', () => {})
+      ).toThrow(DAO.BadArgumentError);
+    });
+  });
+
+  describe('access control', () => {
+    class Ledger extends DAO {
+      static access = {
+        create: ['user'],
+        read: ['owner', 'ADMIN'],
+        update: ['owner', 'ADMIN'],
+        delete: ['ADMIN'],
+        list: ['user'],
+      };
+      static views = {
+        'by-name': {
+          map: ({ name }) => name && emit([name], 1),
+        },
+      };
+    }
+
+    const dao = new Ledger('LEDGER', db);
+    const alice = dao.withContext({ user: 'alice', roles: [] });
+    const bob = dao.withContext({ user: 'bob', roles: [] });
+    const admin = dao.withContext({ user: 'root', roles: ['ADMIN'] });
+    const anonymous = dao.withContext({});
+    const name = `ledger-${_uuid()}`;
+
+    const entry = (user, extra) =>
+      DAO._touch({ _id: `LEDGER:${_uuid()}`, name, ...extra }, user);
+    const idOf = doc => doc._id.split(/:(.+)/)[1];
+
+    let mine;
+
+    beforeAll(async () => {
+      await dao.ensureDesignDoc();
+      mine = await alice.create(entry('alice'));
+      await bob.create(entry('bob'));
+    });
+
+    it('checks creates', async () => {
+      await expect(anonymous.create(entry('nobody'))).rejects.toBeInstanceOf(
+        DAO.ForbiddenError
+      );
+    });
+
+    it('checks reads', async () => {
+      expect((await alice.retrieve(idOf(mine)))._id).toBe(mine._id);
+      expect((await admin.retrieve(idOf(mine)))._id).toBe(mine._id);
+      await expect(bob.retrieve(idOf(mine))).rejects.toThrow(
+        'read not allowed'
+      );
+      expect((await dao.retrieve(idOf(mine)))._id).toBe(mine._id);
+    });
+
+    it('checks updates against the stored document', async () => {
+      const doc = await alice.retrieve(idOf(mine));
+      await expect(
+        bob.update(idOf(doc), { ...bob.touch({ ...doc }, 'bob'), c_by: 'bob' })
+      ).rejects.toBeInstanceOf(DAO.ForbiddenError);
+      mine = await alice.update(idOf(doc), {
+        ...alice.touch({ ...doc }, 'alice'),
+        note: 'mine',
+      });
+      expect(mine.note).toBe('mine');
+    });
+
+    it('checks deletes', async () => {
+      const doc = await alice.create(entry('alice'));
+      await expect(alice.delete(idOf(doc), doc)).rejects.toThrow(
+        'delete not allowed'
+      );
+      const results = await alice.deleteMany([doc]);
+      expect(results[0].status).toBe('invalid');
+      expect(results[0].error).toBeInstanceOf(DAO.ForbiddenError);
+      await admin.delete(idOf(doc), doc);
+      expect(await dao.retrieve(idOf(doc))).toBe(null);
+    });
+
+    it('filters what lists and finds return', async () => {
+      const byName = docs => docs.map(doc => doc.c_by).sort();
+      expect(byName(await dao.list('by-name', { key: [name] }))).toEqual([
+        'alice',
+        'bob',
+      ]);
+      expect(byName(await alice.list('by-name', { key: [name] }))).toEqual([
+        'alice',
+      ]);
+      expect(byName(await admin.list('by-name', { key: [name] }))).toEqual([
+        'alice',
+        'bob',
+      ]);
+      const { items } = await bob.page('by-name', { key: [name] });
+      expect(byName(items)).toEqual(['bob']);
+      const { docs } = await bob.find({ name });
+      expect(byName(docs)).toEqual(['bob']);
+      await expect(anonymous.list('by-name')).rejects.toThrow(
+        'list not allowed'
+      );
+      await expect(anonymous.find({ name })).rejects.toBeInstanceOf(
+        DAO.ForbiddenError
+      );
+    });
+
+    it('checks the audit trail against the stored document', async () => {
+      class Audited extends Ledger {
+        static audit = true;
+      }
+      const audited = new Audited('LEDGER', db);
+      const doc = await audited.create(entry('alice', { secret: 's1' }));
+      await audited.update(
+        idOf(doc),
+        audited.touch({ ...doc, secret: 's2' }, 'alice')
+      );
+      const history = ctx => audited.withContext(ctx).history(idOf(doc));
+      expect(await history({ user: 'alice' })).toHaveLength(2);
+      await expect(history({ user: 'bob' })).rejects.toThrow(
+        'read not allowed'
+      );
+      await expect(
+        audited.withContext({ user: 'alice' }).history('missing')
+      ).rejects.toThrow(DAO.ForbiddenError);
+      expect(await history({ user: 'root', roles: ['ADMIN'] })).toHaveLength(2);
+    });
+
+    it('only watches what the ctx may read', async () => {
+      const { update_seq } = await db.info();
+      const watcher = bob.watch({ since: update_seq, timeout: 50 });
+      const seen = new Promise(resolve => watcher.on('change', resolve));
+      await alice.create(entry('alice'));
+      const doc = await bob.create(entry('bob'));
+      const event = await seen;
+      watcher.stop();
+      expect(event.id).toBe(idOf(doc));
+      expect(() => anonymous.watch()).toThrow('list not allowed');
+    });
+
+    it('refuses bad rules', () => {
+      class Bad extends DAO {
+        static access = { write: ['ADMIN'] };
+      }
+      expect(() => new Bad('LEDGER', db)).toThrow('bad access rule: write');
+    });
+  });
+
+  describe('read cache', () => {
+    class Cached extends DAO {
+      static cache = { max: 100, ttl: 60000 };
+      static views = {
+        'by-name': {
+          map: ({ name }) => name && emit([name], 1),
+        },
+      };
+    }
+
+    const dao = new Cached('CACHED', db);
+
+    const cached = async name =>
+      dao.create(
+        DAO._touch({ _id: `CACHED:${name}-${_uuid()}`, name }, 'admin')
+      );
+    const idOf = doc => doc._id.split(/:(.+)/)[1];
+
+    beforeAll(async () => {
+      await dao.ensureDesignDoc();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('serves repeated and concurrent retrieves from one read', async () => {
+      const doc = await cached('hot');
+      const get = jest.spyOn(db, 'get');
+      const before = dao.cacheStats();
+      const found = await Promise.all([
+        dao.retrieve(idOf(doc)),
+        dao.retrieve(idOf(doc)),
+      ]);
+      found[0].name = 'changed';
+      expect((await dao.retrieve(idOf(doc))).name).toBe('hot');
+      expect(found[1]._rev).toBe(doc._rev);
+      expect(get).toHaveBeenCalledTimes(1);
+      const after = dao.cacheStats();
+      expect(after.misses - before.misses).toBe(1);
+      expect(after.coalesced - before.coalesced).toBe(1);
+      expect(after.hits - before.hits).toBe(1);
+    });
+
+    it('is invalidated by its own writes', async () => {
+      const doc = await cached('warm');
+      await dao.retrieve(idOf(doc));
+      const updated = await dao.update(idOf(doc), {
+        ...dao.touch({ ...doc }, 'admin'),
+        size: 2,
+      });
+      expect((await dao.retrieve(idOf(doc)))._rev).toBe(updated._rev);
+      await dao.delete(idOf(doc), updated);
+      expect(await dao.retrieve(idOf(doc))).toBe(null);
+    });
+
+    it('is invalidated by conflicts', async () => {
+      const doc = await cached('contested');
+      const id = idOf(doc);
+      await dao.retrieve(id);
+      // someone else gets in first, the cache still holds doc
+      await db.insert({ ...doc, size: 1 });
+      await expect(
+        dao.update(id, dao.touch({ ...doc, size: 2 }, 'admin'))
+      ).rejects.toThrow(DAO.ConflictError);
+      expect((await dao.retrieve(id)).size).toBe(1);
+
+      await db.insert({ ...(await db.get(doc._id)), size: 3 });
+      const modified = await dao.modify(
+        id,
+        current => ({ ...current, size: current.size + 1 }),
+        'admin',
+        { backoff: 1 }
+      );
+      expect(modified.size).toBe(4);
+
+      await db.insert({ ...(await db.get(doc._id)), size: 5 });
+      const patched = await dao.patch(
+        id,
+        [{ op: 'add', path: '/tags', value: ['x'] }],
+        { user: 'admin', backoff: 1 }
+      );
+      expect(patched).toMatchObject({ size: 5, tags: ['x'] });
+
+      const stale = await dao.retrieve(id);
+      await db.insert({ ...stale, size: 6 });
+      const [res] = await dao.updateMany([dao.touch({ ...stale }, 'admin')]);
+      expect(res.status).toBe('conflict');
+      expect((await dao.retrieve(id)).size).toBe(6);
+    });
+
+    it('caches findOne() until any write', async () => {
+      const name = `unique-${_uuid()}`;
+      expect(await dao.findOne('by-name', name)).toBe(null);
+      const view = jest.spyOn(db, 'partitionedView');
+      expect(await dao.findOne('by-name', name)).toBe(null);
+      expect(view).not.toHaveBeenCalled();
+      const doc = await cached(name);
+      expect((await dao.findOne('by-name', name))._id).toBe(doc._id);
+      expect(view).toHaveBeenCalledTimes(1);
+    });
+
+    it('has no stats without a cache', () => {
+      expect(new DAO('WIDGET', db).cacheStats()).toBe(null);
+    });
+  });
+
+  describe('schema versions', () => {
+    class Versioned extends DAO {
+      static schemaVersion = 3;
+      static upgrades = {
+        1: doc => ({ ...doc, tags: doc.tags || [] }),
+        2: ({ colour, ...doc }) => ({ ...doc, color: colour }),
+      };
+      static properties = {
+        color: { type: 'string' },
+        tags: { type: 'array' },
+      };
+      static required = ['color', 'tags'];
+      static views = {
+        'by-color': {
+          map: ({ color, colour }) => emit([color || colour], 1),
+        },
+      };
+    }
+
+    const dao = new Versioned('VERSIONED', db);
+
+    // store a document the way older code did
+    const old = async (colour, extra) => {
+      const doc = DAO._touch(
+        { _id: `VERSIONED:${_uuid()}`, colour, ...extra },
+        'admin'
+      );
+      const { rev } = await db.insert(doc);
+      return { ...doc, _rev: rev };
+    };
+    const idOf = doc => doc._id.split(/:(.+)/)[1];
+
+    beforeAll(async () => {
+      await dao.ensureDesignDoc();
+    });
+
+    it('stamps the version on new documents', async () => {
+      const doc = await dao.create(
+        DAO._touch(
+          { _id: `VERSIONED:${_uuid()}`, color: 'red', tags: [] },
+          'admin'
+        )
+      );
+      expect(doc.s_v).toBe(3);
+      expect((await db.get(doc._id)).s_v).toBe(3);
+    });
+
+    it('upgrades documents as they are read', async () => {
+      const colour = `blue-${_uuid()}`;
+      const stored = await old(colour);
+      const expected = { color: colour, tags: [], s_v: 3 };
+      expect(await dao.retrieve(idOf(stored))).toMatchObject(expected);
+      expect(await dao.retrieveMany([idOf(stored)])).toEqual([
+        expect.objectContaining(expected),
+      ]);
+      expect(await dao.findOne('by-color', colour)).toMatchObject(expected);
+      expect(await dao.list('by-color', { key: [colour] })).toEqual([
+        expect.objectContaining(expected),
+      ]);
+      expect((await dao.find({ colour })).docs).toEqual([
+        expect.objectContaining(expected),
+      ]);
+      const { docs } = await dao.find({ colour }, { fields: ['colour'] });
+      expect(docs).toEqual([{ colour }]);
+      expect(await db.get(stored._id)).not.toHaveProperty('s_v');
+    });
+
+    it('upgrades documents before writing them', async () => {
+      const stored = await old('green', { tags: ['x'], s_v: 2 });
+      const saved = await dao.update(
+        idOf(stored),
+        dao.touch({ ...stored }, 'admin')
+      );
+      expect(saved).toMatchObject({ color: 'green', tags: ['x'], s_v: 3 });
+      expect(saved).not.toHaveProperty('colour');
+    });
+
+    it('migrates outdated documents', async () => {
+      await old('pink');
+      await old(42); // not a valid color once upgraded
+      const progress = [];
+      const dry = await dao.migrate({ dryRun: true, batchSize: 2 });
+      expect(dry.outdated).toBeGreaterThanOrEqual(2);
+      expect(dry.migrated).toBe(0);
+      expect(dry.failed.map(res => res.status)).toEqual(['invalid']);
+
+      const res = await dao.migrate({
+        batchSize: 2,
+        onProgress: totals => progress.push(totals),
+      });
+      expect(res.migrated).toBe(dry.outdated - 1);
+      expect(res.failed.length).toBe(1);
+      expect(res.failed[0].error).toBeInstanceOf(DAO.ValidationError);
+      expect(progress[progress.length - 1]).toEqual({
+        ...res,
+        failed: 1,
+      });
+      const again = await dao.migrate();
+      expect(again.outdated).toBe(1);
+      expect(again.migrated).toBe(0);
+    });
+
+    it('refuses incomplete upgrades', () => {
+      class Broken extends DAO {
+        static schemaVersion = 2;
+      }
+      expect(() => new Broken('BROKEN', db)).toThrow('missing upgrade: 1');
+      return expect(new DAO('WIDGET', db).migrate()).rejects.toThrow(
+        'schema version is not set'
+      );
+    });
+  });
+
+  describe('export and import', () => {
+    class Crate extends DAO {
+      static audit = true;
+      static properties = { size: { type: 'integer' } };
+      static required = ['size'];
+    }
+
+    const dao = new Crate('CRATE', db);
+
+    const exported = async opts => {
+      let text = '';
+      for await (const chunk of dao.export(opts)) text += chunk;
+      return text;
+    };
+
+    const docsOf = text =>
+      text
+        .split('\n')
+        .filter(line => line)
+        .map(line => JSON.parse(line));
+
+    beforeAll(async () => {
+      for (const size of [1, 2, 3]) {
+        await dao.create(DAO._touch({ _id: `CRATE:${size}`, size }, 'admin'));
+      }
+    });
+
+    it('exports every document as newline delimited json', async () => {
+      const docs = docsOf(await exported({ batchSize: 2 }));
+      expect(docs.map(doc => doc._id)).toEqual([
+        'CRATE:1',
+        'CRATE:2',
+        'CRATE:3',
+      ]);
+      expect(docs.every(doc => doc._rev && doc.c_by === 'admin')).toBe(true);
+      const stripped = docsOf(await exported({ stripRev: true }));
+      expect(stripped.some(doc => '_rev' in doc)).toBe(false);
+    });
+
+    it('copies attachments to another database', async () => {
+      const source = new Crate('CRATE', new MemoryDB());
+      const doc = await source.create(
+        DAO._touch({ _id: 'CRATE:pictured', size: 1 }, 'admin')
+      );
+      await source.putAttachment(
+        'pictured',
+        doc,
+        'img.png',
+        Buffer.from('png'),
+        'image/png',
+        'admin'
+      );
+      let text = '';
+      for await (const chunk of source.export()) text += chunk;
+      expect(docsOf(text)[0]._attachments).toEqual({
+        'img.png': { content_type: 'image/png', data: 'cG5n' },
+      });
+
+      const target = new Crate('CRATE', new MemoryDB());
+      const res = await target.import([text]);
+      expect(res).toEqual({ imported: 1, skipped: 0, failed: [] });
+      const data = await target.getAttachment('pictured', 'img.png');
+      expect(data.toString()).toBe('png');
+    });
+
+    it('applies the conflict policy to existing documents', async () => {
+      const text = await exported();
+      const two = await dao.retrieve('2');
+      await dao.update('2', dao.touch({ ...two, size: 20 }, 'editor'));
+      const three = await dao.retrieve('3');
+      await dao.delete('3', three);
+
+      await expect(dao.import([text])).rejects.toThrow(DAO.ConflictError);
+      expect(await dao.retrieve('3')).toBe(null);
+
+      const progress = [];
+      const skipped = await dao.import([text], {
+        onConflict: 'skip',
+        batchSize: 2,
+        onProgress: totals => progress.push(totals),
+      });
+      expect(skipped).toEqual({ imported: 1, skipped: 2, failed: [] });
+      expect(progress).toEqual([
+        { imported: 0, skipped: 2, failed: 0 },
+        { imported: 1, skipped: 2, failed: 0 },
+      ]);
+      expect((await dao.retrieve('2')).size).toBe(20);
+      expect((await dao.retrieve('3')).size).toBe(3);
+
+      const res = await dao.import([text], { onConflict: 'overwrite' });
+      expect(res).toEqual({ imported: 3, skipped: 0, failed: [] });
+      expect((await dao.retrieve('2')).size).toBe(2);
+      const entries = await dao.history('2');
+      expect(entries[entries.length - 1]).toMatchObject({
+        op: 'import',
+        diff: { size: { from: 20, to: 2 } },
+      });
+    });
+
+    it('reports lines that cannot be imported', async () => {
+      const input = [
+        '{"_id": "CRATE:4", "size": 4, "c_by": "a", "c_at": 1, "m_by": "a", "m_at": 1}\n',
+        '{not json}\n',
+        '[]\n',
+        '{"_id": "CRATE:5", "size": "big", "c_by": "a", "c_at": 1, "m_by": "a", "m_at": 1}\n',
+        '{"_id": "WIDGET:6", "size": 6, "c_by": "a", "c_at": 1, "m_by": "a", "m_at": 1}\n',
+      ];
+      const res = await dao.import(input);
+      expect(res.imported).toBe(1);
+      expect(res.failed.map(({ line, status }) => [line, status])).toEqual([
+        [2, 'invalid'],
+        [3, 'invalid'],
+        [4, 'invalid'],
+        [5, 'invalid'],
+      ]);
+      expect(res.failed[0].error.message).toBe('bad json on line 2');
+      expect(res.failed[1].error.message).toBe('no document on line 3');
+      expect(res.failed[2].error).toBeInstanceOf(DAO.ValidationError);
+      expect(res.failed[3].error).toBeInstanceOf(DAO.ValidationError);
+      expect(await dao.retrieve('4')).toMatchObject({ size: 4 });
+    });
+
+    it('refuses bad options', async () => {
+      expect(() => dao.export({ batchSize: 0 })).toThrow('invalid batch size');
+      await expect(dao.import('nope', { onConflict: 'merge' })).rejects.toThrow(
+        'invalid conflict policy'
+      );
+      await expect(dao.import(42)).rejects.toThrow('bad input');
+    });
+  });
+
+  describe('relations', () => {
+    class Part extends DAO {}
+
+    class Order extends DAO {
+      static relations = {
+        part: { belongsTo: 'PART', field: 'partId', check: true },
+        parts: { belongsTo: 'PART', field: 'spareIds' },
+        lines: { hasMany: 'LINE', view: 'by-order', onDelete: 'restrict' },
+      };
+      static views = {
+        'by-ref': { map: ({ ref }) => ref && emit([ref], null) },
+      };
+    }
+
+    class Line extends DAO {
+      static relations = {
+        order: { belongsTo: 'ORDER', field: 'orderId' },
+      };
+      static views = {
+        'by-order': { map: ({ orderId }) => orderId && emit(orderId, null) },
+      };
+    }
+
+    const parts = new Part('PART', db);
+    const orders = new Order('ORDER', db);
+    const lines = new Line('LINE', db);
+
+    const create = (dao, id, fields) =>
+      dao.create(DAO._touch({ _id: `${dao.type}:${id}`, ...fields }, 'admin'));
+
+    // an order with two lines
+    const order = async fields => {
+      const id = _uuid();
+      await create(orders, id, { ref: id, partId: 'bolt', ...fields });
+      await create(lines, `${id}-1`, { orderId: id, qty: 1 });
+      await create(lines, `${id}-2`, { orderId: id, qty: 2 });
+      return id;
+    };
+
+    beforeAll(async () => {
+      await orders.ensureDesignDoc();
+      await lines.ensureDesignDoc();
+      await create(parts, 'bolt', { name: 'bolt' });
+      await create(parts, 'nut', { name: 'nut' });
+    });
+
+    it('populates relations on request', async () => {
+      const id = await order({ spareIds: ['nut', 'gone'] });
+      const plain = await orders.retrieve(id);
+      expect(plain).not.toHaveProperty('part');
+      const doc = await orders.retrieve(id, {
+        include: ['part', 'parts', 'lines'],
+      });
+      expect(doc.part).toMatchObject({ _id: 'PART:bolt', name: 'bolt' });
+      expect(doc.parts.map(part => part && part.name)).toEqual(['nut', null]);
+      expect(doc.lines.map(line => line.qty)).toEqual([1, 2]);
+      const line = await lines.retrieve(`${id}-1`, { include: 'order' });
+      expect(line.order._id).toBe(`ORDER:${id}`);
+    });
+
+    it('populates lists in one request per relation', async () => {
+      const ids = [await order(), await order()];
+      const views = jest.spyOn(db, 'partitionedView');
+      const lists = jest.spyOn(db, 'partitionedList');
+      try {
+        const docs = await orders.list('by-ref', {
+          keys: ids.map(id => [id]),
+          include: ['part', 'lines'],
+        });
+        expect(docs.map(doc => doc.part.name)).toEqual(['bolt', 'bolt']);
+        expect(docs.map(doc => doc.lines.length)).toEqual([2, 2]);
+        expect(views).toHaveBeenCalledTimes(2); // the list and the lines
+        expect(lists).toHaveBeenCalledTimes(1); // the parts
+      } finally {
+        views.mockRestore();
+        lists.mockRestore();
+      }
+    });
+
+    it('populates findOne() through including()', async () => {
+      const id = await order();
+      const doc = await orders.including('lines').findOne('by-ref', id);
+      expect(doc.lines).toHaveLength(2);
+      expect(await orders.including('lines').findOne('by-ref', 'none')).toBe(
+        null
+      );
+    });
+
+    it('checks references on create and update', async () => {
+      const id = _uuid();
+      await expect(
+        create(orders, id, { partId: 'missing' })
+      ).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'invalid reference: part',
+        errors: [
+          expect.objectContaining({ message: 'PART:missing does not exist' }),
+        ],
+      });
+      const doc = await create(orders, id, { partId: 'nut' });
+      await expect(
+        orders.update(id, { ...doc, partId: 'missing' })
+      ).rejects.toThrow('invalid reference: part');
+      const [res] = await orders.updateMany([{ ...doc, partId: 'missing' }]);
+      expect(res.status).toBe('invalid');
+    });
+
+    it('restricts or cascades deletes', async () => {
+      const id = await order();
+      const doc = await orders.retrieve(id);
+      await expect(orders.delete(id, doc)).rejects.toThrow(DAO.ConflictError);
+      expect(await lines.retrieve(`${id}-1`)).not.toBe(null);
+
+      class CascadingOrder extends Order {
+        static relations = {
+          lines: { hasMany: 'LINE', view: 'by-order', onDelete: 'cascade' },
+        };
+      }
+      await new CascadingOrder('ORDER', db).delete(id, doc);
+      expect(await orders.retrieve(id)).toBe(null);
+      expect(await lines.retrieve(`${id}-1`)).toBe(null);
+      expect(await lines.retrieve(`${id}-2`)).toBe(null);
+    });
+
+    it('cascades only once the document is deleted', async () => {
+      class CascadingOrder extends Order {
+        static relations = {
+          lines: { hasMany: 'LINE', view: 'by-order', onDelete: 'cascade' },
+        };
+      }
+      const cascading = new CascadingOrder('ORDER', db);
+      const id = await order();
+      const stale = await orders.retrieve(id);
+      const doc = await orders.update(id, orders.touch({ ...stale }, 'admin'));
+      await expect(cascading.delete(id, stale)).rejects.toThrow(
+        DAO.ConflictError
+      );
+      const [res] = await cascading.deleteMany([stale]);
+      expect(res.status).toBe('conflict');
+      expect(await lines.retrieve(`${id}-1`)).not.toBe(null);
+
+      const other = await order();
+      const results = await cascading.deleteMany([
+        doc,
+        await orders.retrieve(other),
+      ]);
+      expect(results.map(({ status }) => status)).toEqual(['ok', 'ok']);
+      expect(await lines.retrieve(`${id}-2`)).toBe(null);
+      expect(await lines.retrieve(`${other}-1`)).toBe(null);
+    });
+
+    it('restores documents without their related documents', async () => {
+      class SoftOrder extends Order {
+        static softDelete = true;
+      }
+      const soft = new SoftOrder('ORDER', db);
+      const id = _uuid();
+      const doc = await create(soft, id, { ref: id, partId: 'bolt' });
+      await soft.delete(id, doc, 'admin');
+      const restored = await soft.including('part').restore(id, 'admin');
+      expect(restored).not.toHaveProperty('part');
+      expect(await db.get(`ORDER:${id}`)).not.toHaveProperty('part');
+    });
+
+    it('uses related daos given to relate()', async () => {
+      const id = await order();
+      const related = new Part('PART', db).addHook('afterRetrieve', doc => ({
+        ...doc,
+        seen: true,
+      }));
+      const dao = new Order('ORDER', db).relate(related);
+      const [doc] = await dao.list('by-ref', { key: [id], include: 'part' });
+      expect(doc.part).toMatchObject({ name: 'bolt', seen: true });
+      const plain = await orders.retrieve(id, { include: 'part' });
+      expect(plain.part).not.toHaveProperty('seen');
+    });
+
+    it('refuses bad relations and includes', async () => {
+      class Bad extends DAO {
+        static relations = { part: { belongsTo: 'PART' } };
+      }
+      expect(() => new Bad('BAD', db)).toThrow('bad relation: part');
+      expect(() => orders.including('nope')).toThrow('unknown relation: nope');
+      await expect(orders.retrieve('x', { include: 'nope' })).rejects.toThrow(
+        'unknown relation: nope'
+      );
+      await expect(
+        orders.list('by-ref', { include: 'part', include_docs: false })
+      ).rejects.toThrow('include needs include_docs');
+      expect(() => orders.relate({})).toThrow('bad dao');
+    });
+  });
+
+  describe('attachments', () => {
+    class Sheet extends DAO {
+      static audit = true;
+      static attachments = {
+        contentTypes: ['image/*', 'text/plain'],
+        maxSize: 16,
+      };
+    }
+
+    const dao = new Sheet('SHEET', db);
+
+    const sheet = () =>
+      dao.create(DAO._touch({ _id: `SHEET:${_uuid()}` }, 'admin'));
+    const idOf = doc => doc._id.split(/:(.+)/)[1];
+
+    it('puts, lists, gets and removes attachments', async () => {
+      const doc = await sheet();
+      const id = idOf(doc);
+      const saved = await dao.putAttachment(
+        id,
+        doc,
+        'notes.txt',
+        'hello',
+        'text/plain',
+        'editor'
+      );
+      expect(saved._rev).not.toBe(doc._rev);
+      expect(saved.m_by).toBe('editor');
+      expect(saved.c_by).toBe('admin');
+      expect(saved._attachments['notes.txt']).toEqual({
+        content_type: 'text/plain',
+        length: 5,
+        stub: true,
+      });
+
+      const withPng = await dao.putAttachment(
+        id,
+        saved,
+        'logo.png',
+        Readable.from([Buffer.from([1, 2]), Buffer.from([3])]),
+        'image/png',
+        'editor'
+      );
+      expect(await dao.listAttachments(id)).toEqual([
+        expect.objectContaining({
+          name: 'notes.txt',
+          contentType: 'text/plain',
+          length: 5,
+        }),
+        expect.objectContaining({ name: 'logo.png', length: 3 }),
+      ]);
+      expect((await dao.getAttachment(id, 'notes.txt')).toString()).toBe(
+        'hello'
+      );
+      const chunks = [];
+      for await (const chunk of await dao.getAttachmentStream(id, 'logo.png')) {
+        chunks.push(chunk);
+      }
+      expect([...Buffer.concat(chunks)]).toEqual([1, 2, 3]);
+
+      const removed = await dao.removeAttachment(
+        id,
+        withPng,
+        'notes.txt',
+        'admin'
+      );
+      expect(Object.keys(removed._attachments)).toEqual(['logo.png']);
+      expect(await dao.getAttachment(id, 'notes.txt')).toBe(null);
+      expect(await dao.getAttachmentStream(id, 'notes.txt')).toBe(null);
+
+      const ops = (await dao.history(id)).map(entry => entry.op);
+      expect(ops).toEqual(['create', 'attach', 'attach', 'detach']);
+    });
+
+    it('checks ids, revisions and limits', async () => {
+      const doc = await sheet();
+      const id = idOf(doc);
+      const put = (...args) => dao.putAttachment(...args, 'editor');
+      await expect(
+        put(id, doc, 'a.pdf', 'x', 'application/pdf')
+      ).rejects.toThrow('content type not allowed: application/pdf');
+      await expect(
+        put(id, doc, 'a.txt', 'more than sixteen bytes', 'text/plain')
+      ).rejects.toThrow('attachment is larger than 16 bytes');
+      await expect(
+        put('other', doc, 'a.txt', 'x', 'text/plain')
+      ).rejects.toThrow(DAO.TypeMismatchError);
+      await expect(
+        put(id, { _id: doc._id }, 'a.txt', 'x', 'text/plain')
+      ).rejects.toThrow('document must already exist');
+      await expect(put(id, doc, '_a.txt', 'x', 'text/plain')).rejects.toThrow(
+        'bad attachment name'
+      );
+      await put(id, doc, 'a.txt', 'x', 'text/plain');
+      await expect(put(id, doc, 'b.txt', 'x', 'text/plain')).rejects.toThrow(
+        DAO.ConflictError
+      );
+      const current = await dao.retrieve(id);
+      await expect(
+        dao.removeAttachment(id, current, 'none.txt', 'editor')
+      ).rejects.toThrow(DAO.NotFoundError);
+      expect(await dao.listAttachments('missing')).toBe(null);
+      expect(() => {
+        class Bad extends DAO {
+          static attachments = { maxSize: -1 };
+        }
+        return new Bad('BAD', db);
+      }).toThrow('bad attachment limits');
+    });
+  });
+
+  describe('context writes', () => {
+    const NOW = Date.UTC(2020, 8, 13, 12, 26, 40, 123);
+    let now = NOW;
+
+    class Note extends DAO {
+      static properties = { title: { type: 'string' } };
+      static audit = true;
+      static clock = () => now;
+    }
+
+    class Slugged extends Note {
+      static idGenerator = async doc => doc.title.toLowerCase();
+    }
+
+    class Precise extends Note {
+      static timestamps = 'milliseconds';
+    }
+
+    class Dated extends Note {
+      static timestamps = 'iso';
+      static softDelete = true;
+    }
+
+    const notes = new Note('CTXNOTE', db);
+    const ctx = { user: 'alice', roles: [] };
+
+    beforeEach(() => (now = NOW));
+
+    it('creates documents with a generated id and stamps', async () => {
+      const seen = [];
+      const dao = new Note('CTXNOTE', db).addHook(
+        'beforeCreate',
+        (doc, hookCtx) => seen.push(hookCtx)
+      );
+      const doc = await dao.createFor(ctx, {
+        _id: 'CTXNOTE:mine',
+        _rev: '1-abc',
+        title: 'hello',
+        c_by: 'mallory',
+        m_at: 0,
+      });
+      expect(doc).toEqual({
+        _id: expect.stringMatching(/^CTXNOTE:/),
+        _rev: expect.stringMatching(/^1-/),
+        title: 'hello',
+        c_by: 'alice',
+        c_at: 1600000000,
+        m_by: 'alice',
+        m_at: 1600000000,
+      });
+      expect(doc._id).not.toBe('CTXNOTE:mine');
+      expect(seen).toEqual([ctx]);
+      const [entry] = await notes.history(notes.info(doc)[0]);
+      expect(entry.at).toBe(1600000000);
+    });
+
+    it('uses the id generator', async () => {
+      const dao = new Slugged('CTXNOTE', db);
+      const doc = await dao.createFor({ user: 'bob' }, { title: `Slug${NOW}` });
+      expect(doc._id).toBe(`CTXNOTE:slug${NOW}`);
+      expect(doc.c_by).toBe('bob');
+      await expect(dao.createFor(ctx, { title: '' })).rejects.toThrow(
+        'bad generated id'
+      );
+    });
+
+    it('refuses a ctx without a user or bad documents', async () => {
+      await expect(notes.createFor({}, { title: 'x' })).rejects.toThrow(
+        'no user in ctx'
+      );
+      await expect(notes.createFor(undefined, { title: 'x' })).rejects.toThrow(
+        'no user in ctx'
+      );
+      await expect(notes.createFor(ctx, [])).rejects.toThrow('bad document');
+    });
+
+    it('updates documents keeping their creation stamps', async () => {
+      const doc = await notes.createFor(ctx, { title: 'draft' });
+      const [id] = notes.info(doc);
+      now += 5000;
+      const saved = await notes.updateFor({ user: 'bob' }, id, {
+        ...doc,
+        title: 'final',
+        c_by: 'mallory',
+        c_at: 1,
+      });
+      expect(saved).toMatchObject({
+        _id: doc._id,
+        title: 'final',
+        c_by: 'alice',
+        c_at: 1600000000,
+        m_by: 'bob',
+        m_at: 1600000005,
+      });
+      await expect(
+        notes.updateFor(ctx, id, { ...doc, title: 'stale' })
+      ).rejects.toThrow(DAO.ConflictError);
+      await expect(
+        notes.updateFor(ctx, 'missing', { title: 'x', _rev: '1-abc' })
+      ).rejects.toThrow(DAO.NotFoundError);
+    });
+
+    it('ignores the schema version a client sends', async () => {
+      class Shaped extends Note {
+        static schemaVersion = 2;
+        static upgrades = {
+          1: ({ colour, ...doc }) => ({ ...doc, color: colour }),
+        };
+        static properties = { color: { type: 'string' } };
+      }
+      const shaped = new Shaped('CTXNOTE', db);
+      const doc = await shaped.createFor(ctx, {
+        title: 'shape',
+        color: 'red',
+        s_v: 1,
+      });
+      expect(doc).toMatchObject({ color: 'red', s_v: 2 });
+      const [id] = shaped.info(doc);
+      const saved = await shaped.updateFor(ctx, id, {
+        ...doc,
+        color: 'blue',
+        s_v: 1,
+      });
+      expect(saved).toMatchObject({ color: 'blue', s_v: 2 });
+    });
+
+    it('stamps milliseconds or iso timestamps', async () => {
+      const precise = new Precise('CTXNOTE', db);
+      const doc = await precise.createFor(ctx, { title: 'ms' });
+      expect(doc.c_at).toBe(NOW);
+      expect(precise.validate(doc).valid).toBe(true);
+
+      const dated = new Dated('CTXNOTE', db);
+      const iso = await dated.createFor(ctx, { title: 'iso' });
+      expect(iso.m_at).toBe('2020-09-13T12:26:40.123Z');
+      expect(dated.validate({ ...iso, m_at: 1600000000 }).valid).toBe(false);
+      expect(notes.validate(iso).valid).toBe(false);
+
+      const [id] = dated.info(iso);
+      await dated.delete(id, iso, 'alice');
+      expect((await dated.withDeleted().retrieve(id)).d_at).toBe(
+        '2020-09-13T12:26:40.123Z'
+      );
+      await expect(dated.purge(1600000000)).rejects.toThrow('invalid cutoff');
+      const { purged } = await dated.purge('2020-09-14T00:00:00.000Z');
+      expect(purged).toBeGreaterThanOrEqual(1);
+      expect(await dated.withDeleted().retrieve(id)).toBe(null);
+    });
+
+    it('refuses bad timestamp formats and clocks', () => {
+      class Odd extends DAO {
+        static timestamps = 'minutes';
+      }
+      expect(() => new Odd('ODD', db)).toThrow('bad timestamp format');
+      expect(() => Odd._touch({}, 'alice')).toThrow('bad timestamp format');
+      class Stopped extends DAO {
+        static clock = 42;
+      }
+      expect(() => new Stopped('ODD', db)).toThrow('bad clock');
+    });
+  });
+
+  describe('partitions', () => {
+    class Customer extends DAO {
+      static partitionStrategy = DAO.partitions.byTenant;
+      static views = {
+        'by-status': { map: ({ status }) => status && emit([status], null) },
+      };
+    }
+
+    class Invoice extends DAO {
+      static partitionStrategy = DAO.partitions.byTenant;
+      static audit = true;
+      static relations = {
+        customer: { belongsTo: 'CUSTOMER', field: 'customerId', check: true },
+      };
+      static views = {
+        'by-status': {
+          map: ({ status }) => status && emit([status], null),
+          reduce: '_count',
+        },
+      };
+    }
+
+    const customers = new Customer('CUSTOMER', db);
+    const invoices = new Invoice('INVOICE', db);
+    const acme = `acme${_uuid()}`;
+    const globex = `globex${_uuid()}`;
+
+    const create = (dao, fields) =>
+      dao.create(DAO._touch({ _id: dao.uuid(), ...fields }, 'admin'));
+    const idOf = (dao, doc) => doc._id.slice(dao.idPrefix.length);
+
+    let customer;
+
+    beforeAll(async () => {
+      await customers.ensureDesignDoc();
+      await invoices.ensureDesignDoc();
+      customer = await create(customers.forPartition(acme), {
+        status: 'open',
+      });
+    });
+
+    it('needs a partition for keyed strategies', async () => {
+      expect(() => invoices.uuid()).toThrow('no partition, use forPartition()');
+      await expect(invoices.retrieve('x')).rejects.toThrow(
+        'no partition, use forPartition()'
+      );
+      expect(() => new DAO('WIDGET', db).forPartition(acme)).toThrow(
+        'partition strategy is not keyed'
+      );
+      for (const key of ['', 'a:b', '_design', 42]) {
+        expect(() => invoices.forPartition(key)).toThrow('bad partition key');
+      }
+      class Odd extends DAO {
+        static partitionStrategy = { keyed: true };
+      }
+      expect(() => new Odd('ODD', db)).toThrow('bad partition strategy');
+    });
+
+    it('keeps the documents of each tenant apart', async () => {
+      const dao = invoices.forPartition(acme);
+      expect(dao.uuid()).toMatch(new RegExp(`^${acme}:INVOICE\\.`));
+      const doc = await create(dao, {
+        customerId: idOf(customers.forPartition(acme), customer),
+      });
+      const id = idOf(dao, doc);
+      expect(await dao.retrieve(id)).toMatchObject({ _id: doc._id });
+      expect(await invoices.forPartition(globex).retrieve(id)).toBe(null);
+      expect(await dao.retrieveMany([id, 'nope'])).toEqual([
+        expect.objectContaining({ _id: doc._id }),
+        null,
+      ]);
+      expect(invoices.info(doc)[0]).toBe(id);
+
+      const updated = await dao.update(
+        id,
+        dao.touch({ ...doc, total: 3 }, 'a')
+      );
+      expect(updated.total).toBe(3);
+      await expect(
+        invoices.forPartition(globex).update(id, updated)
+      ).rejects.toThrow('document id mismatch');
+      expect((await dao.history(id)).map(({ op }) => op)).toEqual([
+        'create',
+        'update',
+      ]);
+      await dao.delete(id, updated);
+      expect(await dao.retrieve(id)).toBe(null);
+    });
+
+    it('validates ids against the strategy', async () => {
+      const dao = invoices.forPartition(acme);
+      await expect(
+        dao.create(DAO._touch({ _id: `${acme}:CUSTOMER.x` }, 'admin'))
+      ).rejects.toThrow(DAO.ValidationError);
+      await expect(
+        dao.create(DAO._touch({ _id: `${globex}:INVOICE.x` }, 'admin'))
+      ).rejects.toThrow('document id mismatch');
+      expect(() => invoices.info(customer)).toThrow(DAO.TypeMismatchError);
+      await expect(
+        dao.create(
+          DAO._touch({ _id: dao.uuid(), customerId: 'nobody' }, 'admin')
+        )
+      ).rejects.toThrow('invalid reference: customer');
+    });
+
+    it('only shows views, find() and export() their own type', async () => {
+      const dao = invoices.forPartition(acme);
+      const customerId = idOf(customers.forPartition(acme), customer);
+      const invoice = await create(dao, { status: 'open', customerId });
+      await create(invoices.forPartition(globex), { status: 'open' });
+
+      const listed = await dao.list('by-status', { key: ['open'] });
+      expect(listed.map(doc => doc._id)).toEqual([invoice._id]);
+      expect(await dao.count('by-status', 'open')).toBe(1);
+      const { docs } = await dao.find({ status: 'open' });
+      expect(docs.map(doc => doc._id)).toEqual([invoice._id]);
+      const open = await customers.forPartition(acme).list('by-status', {
+        key: ['open'],
+      });
+      expect(open.map(doc => doc._id)).toEqual([customer._id]);
+
+      let text = '';
+      for await (const chunk of dao.export()) text += chunk;
+      expect(
+        text
+          .trim()
+          .split('\n')
+          .map(line => JSON.parse(line)._id)
+      ).toEqual([invoice._id]);
+
+      const populated = await dao.retrieve(idOf(dao, invoice), {
+        include: 'customer',
+      });
+      expect(populated.customer._id).toBe(customer._id);
+    });
+  });
+
   describe('dao.info()', () => {
     const dao = new DAO('WIDGET', db);
 
@@ -792,6 +3275,64 @@ describe('dao', () => {
       expect(test).toBe('initial-value');
     });
 
+    describe('with a visibility policy', () => {
+      class Secretive extends DAO {
+        static visibility = {
+          _id: { as: 'id' },
+          c_by: { hide: ['anonymous'] },
+          secretNotes: { show: ['owner', 'ADMIN'] },
+          password: false,
+        };
+      }
+
+      const dao = new Secretive('WIDGET', db);
+      const doc = {
+        _id: 'WIDGET:abc:def',
+        _rev: '1-abc',
+        c_by: 'alice',
+        name: 'sprocket',
+        secretNotes: 'shh',
+        password: 'hunter2',
+      };
+
+      it('applies the rules for the ctx', () => {
+        expect(dao.cleanse(null, doc)).toEqual({
+          id: 'abc:def',
+          _rev: '1-abc',
+          name: 'sprocket',
+        });
+        expect(dao.cleanse({ user: 'bob', roles: [] }, doc)).toEqual({
+          id: 'abc:def',
+          _rev: '1-abc',
+          c_by: 'alice',
+          name: 'sprocket',
+        });
+        expect(dao.cleanse({ user: 'alice' }, doc).secretNotes).toBe('shh');
+        expect(
+          dao.cleanse({ user: 'bob', roles: ['ADMIN'] }, doc).secretNotes
+        ).toBe('shh');
+        expect(doc._id).toBe('WIDGET:abc:def');
+      });
+
+      it('cleanses every document of a list', async () => {
+        const docs = await new DAO('WIDGET', db).list('by-name');
+        const clean = dao.cleanse(null, docs);
+        expect(clean.length).toBe(docs.length);
+        clean.forEach(item => {
+          expect(item).not.toHaveProperty('_id');
+          expect(item).not.toHaveProperty('c_by');
+        });
+      });
+
+      it('refuses bad rules', () => {
+        class Bad extends DAO {
+          static visibility = { name: { show: 'ADMIN' } };
+        }
+        expect(() => new Bad('WIDGET', db)).toThrow(
+          'bad visibility rule: name'
+        );
+      });
+    });
   });
 
   // end of tests...
@@ -0,0 +1,66 @@
+//
+// attachments.js - checks on the attachments a dao is given, and their
+// inline form
+//
+const { BadArgumentError } = require('./errors');
+
+// 'image/png; charset=x' => 'image/png'
+const mediaType = contentType => contentType.split(';')[0].trim().toLowerCase();
+
+//
+// allowedType() - does a content type match one of the patterns, e.g.
+// 'application/pdf' or 'image/*'
+//
+const allowedType = (patterns, contentType) => {
+  const type = mediaType(contentType);
+  return patterns.some(pattern => {
+    pattern = pattern.toLowerCase();
+    return pattern.endsWith('/*')
+      ? type.startsWith(pattern.slice(0, -1))
+      : type === pattern;
+  });
+};
+
+//
+// readAll() - the bytes of a buffer, a string (as utf8) or a stream (any
+// async iterable of buffers or strings), refusing more than maxSize bytes.
+// Streams are only read as far as the limit.
+//
+const readAll = async (data, maxSize = Infinity) => {
+  const tooLarge = () =>
+    new BadArgumentError(`attachment is larger than ${maxSize} bytes`);
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    const bytes = Buffer.from(data);
+    if (bytes.length > maxSize) throw tooLarge();
+    return bytes;
+  }
+  if (!data || typeof data[Symbol.asyncIterator] !== 'function') {
+    throw new BadArgumentError('bad attachment data');
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of data) {
+    const bytes = Buffer.from(chunk);
+    size += bytes.length;
+    if (size > maxSize) throw tooLarge();
+    chunks.push(bytes);
+  }
+  return Buffer.concat(chunks);
+};
+
+//
+// inline() - the attachments of a document read with attachments=true as
+// couchdb takes them in a write, { content_type, data } with base64 data
+//
+const inline = attachments =>
+  Object.keys(attachments).reduce((acc, name) => {
+    const { content_type, data } = attachments[name];
+    acc[name] = { content_type, data };
+    return acc;
+  }, {});
+
+module.exports = {
+  allowedType,
+  readAll,
+  inline,
+};
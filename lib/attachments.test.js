@@ -0,0 +1,63 @@
+const { Readable } = require('stream');
+const { allowedType, readAll, inline } = require('./attachments');
+
+describe('attachments', () => {
+  describe('allowedType()', () => {
+    it('matches exact types and wildcards', () => {
+      const patterns = ['application/pdf', 'image/*'];
+      expect(allowedType(patterns, 'application/pdf')).toBe(true);
+      expect(allowedType(patterns, 'Image/PNG')).toBe(true);
+      expect(allowedType(patterns, 'text/plain; charset=utf-8')).toBe(false);
+      expect(allowedType(patterns, 'application/pdfx')).toBe(false);
+      expect(allowedType(['text/plain'], 'text/plain; charset=utf-8')).toBe(
+        true
+      );
+    });
+  });
+
+  describe('readAll()', () => {
+    it('reads buffers, strings and streams', async () => {
+      expect(await readAll(Buffer.from('abc'))).toEqual(Buffer.from('abc'));
+      expect(await readAll('été')).toEqual(Buffer.from('été'));
+      const stream = Readable.from([Buffer.from('ab'), 'cd']);
+      expect((await readAll(stream)).toString()).toBe('abcd');
+    });
+
+    it('refuses more than maxSize bytes', async () => {
+      await expect(readAll('abcd', 3)).rejects.toThrow(
+        'attachment is larger than 3 bytes'
+      );
+      let read = 0;
+      const stream = Readable.from(
+        (function* () {
+          for (;;) {
+            read++;
+            yield Buffer.alloc(2);
+          }
+        })()
+      );
+      await expect(readAll(stream, 5)).rejects.toThrow(/larger than 5 bytes/);
+      expect(read).toBeLessThan(10);
+    });
+
+    it('refuses anything else', async () => {
+      await expect(readAll(42)).rejects.toThrow('bad attachment data');
+    });
+  });
+
+  describe('inline()', () => {
+    it('keeps the content type and data', () => {
+      const read = {
+        'a.txt': {
+          content_type: 'text/plain',
+          digest: 'md5-x',
+          revpos: 2,
+          data: 'aGk=',
+        },
+      };
+      expect(inline(read)).toEqual({
+        'a.txt': { content_type: 'text/plain', data: 'aGk=' },
+      });
+    });
+  });
+});
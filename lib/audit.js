@@ -0,0 +1,75 @@
+//
+// audit.js - audit trail entries for document changes
+//
+// Each change is recorded as its own document in the changed document's
+// partition, keyed by the revision generation the change produced:
+//
+//   WIDGET:xyz@audit-0000000003
+//
+
+// fields that change on every write, the entry records them anyway
+const ignored = ['_id', '_rev', 'm_by', 'm_at'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// attachments are recorded by name, their data (or stub) stays out of it
+const summary = doc =>
+  doc._attachments
+    ? { ...doc, _attachments: Object.keys(doc._attachments).sort() }
+    : doc;
+
+//
+// diff() - the top level fields that changed, { field: { from, to } },
+// from or to is left out when the field was added or removed
+//
+const diff = (before = {}, after = {}) => {
+  before = summary(before);
+  after = summary(after);
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !ignored.includes(key) && !same(before[key], after[key]))
+    .reduce((acc, key) => {
+      acc[key] = { from: before[key], to: after[key] };
+      return acc;
+    }, {});
+};
+
+const marker = '@audit-';
+
+const prefix = id => `${id}${marker}`;
+
+// is id that of an audit entry, no other document may have one like it
+const isAuditId = id => typeof id === 'string' && id.includes(marker);
+
+const auditId = (id, rev) =>
+  `${prefix(id)}${String(parseInt(rev, 10)).padStart(10, '0')}`;
+
+//
+// auditEntry() - the audit document for a change to document id, which
+// produced revision rev. before/after are null for creates/(hard) deletes,
+// at is when (epoch seconds, now by default).
+//
+const auditEntry = ({
+  op,
+  id,
+  rev,
+  before,
+  after,
+  actor,
+  at = Math.floor(Date.now() / 1000),
+}) => ({
+  _id: auditId(id, rev),
+  audit_of: id,
+  op,
+  actor,
+  at,
+  rev: before ? before._rev : null,
+  diff: diff(before || undefined, after || undefined),
+});
+
+module.exports = {
+  diff,
+  prefix,
+  isAuditId,
+  auditId,
+  auditEntry,
+};
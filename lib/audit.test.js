@@ -0,0 +1,75 @@
+const { diff, isAuditId, auditId, auditEntry } = require('./audit');
+
+describe('audit', () => {
+  describe('diff()', () => {
+    it('lists changed, added and removed fields', () => {
+      expect(
+        diff(
+          { _rev: '1-a', m_at: 1, name: 'a', tags: ['x'], gone: true },
+          { _rev: '2-b', m_at: 2, name: 'b', tags: ['x'], added: 1 }
+        )
+      ).toEqual({
+        name: { from: 'a', to: 'b' },
+        gone: { from: true },
+        added: { to: 1 },
+      });
+    });
+
+    it('handles a missing side', () => {
+      expect(diff(undefined, { _id: 'A:1', name: 'a' })).toEqual({
+        name: { to: 'a' },
+      });
+    });
+
+    it('records attachments by name', () => {
+      const stub = { content_type: 'text/plain', stub: true };
+      const before = { _attachments: { 'a.txt': stub } };
+      const after = {
+        _attachments: { 'b.txt': { data: 'aGk=' }, 'a.txt': stub },
+      };
+      expect(diff(before, after)).toEqual({
+        _attachments: { from: ['a.txt'], to: ['a.txt', 'b.txt'] },
+      });
+    });
+  });
+
+  describe('auditId()', () => {
+    it('sorts by revision generation', () => {
+      expect(auditId('WIDGET:x', '3-abc')).toBe('WIDGET:x@audit-0000000003');
+      expect(auditId('WIDGET:x', '10-abc') > auditId('WIDGET:x', '9-abc')).toBe(
+        true
+      );
+    });
+  });
+
+  describe('isAuditId()', () => {
+    it('recognises audit entry ids', () => {
+      expect(isAuditId(auditId('WIDGET:x', '3-abc'))).toBe(true);
+      expect(isAuditId('WIDGET:x@audit-')).toBe(true);
+      expect(isAuditId('WIDGET:x@audit')).toBe(false);
+      expect(isAuditId(undefined)).toBe(false);
+    });
+  });
+
+  describe('auditEntry()', () => {
+    it('describes a change', () => {
+      const entry = auditEntry({
+        op: 'update',
+        id: 'WIDGET:x',
+        rev: '2-b',
+        before: { _id: 'WIDGET:x', _rev: '1-a', name: 'a' },
+        after: { _id: 'WIDGET:x', _rev: '2-b', name: 'b' },
+        actor: 'admin',
+      });
+      expect(entry).toMatchObject({
+        _id: 'WIDGET:x@audit-0000000002',
+        audit_of: 'WIDGET:x',
+        op: 'update',
+        actor: 'admin',
+        rev: '1-a',
+        diff: { name: { from: 'a', to: 'b' } },
+      });
+      expect(entry.at).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+//
+// batcher.js - merge loads of single keys issued in the same tick into one
+// call of loadMany(keys), in the style of DataLoader
+//
+// loadMany resolves to one value per key, in order. Loads of a key that is
+// already waiting in the batch share its promise.
+//
+
+class Batcher {
+  constructor(loadMany, { maxBatchSize = 100 } = {}) {
+    this.loadMany = loadMany;
+    this.maxBatchSize = maxBatchSize;
+    this.batch = null; // key => { promise, resolve, reject }, until sent
+  }
+
+  load(key) {
+    if (!this.batch) this._schedule();
+    const { batch } = this;
+    if (!batch.has(key)) {
+      const entry = {};
+      entry.promise = new Promise((resolve, reject) =>
+        Object.assign(entry, { resolve, reject })
+      );
+      batch.set(key, entry);
+      if (batch.size >= this.maxBatchSize) this._dispatch(batch);
+    }
+    return batch.get(key).promise;
+  }
+
+  // send the batch once the code that is running now, and the promise
+  // callbacks it queued, are done
+  _schedule() {
+    const batch = new Map();
+    this.batch = batch;
+    Promise.resolve().then(() => process.nextTick(() => this._dispatch(batch)));
+  }
+
+  _dispatch(batch) {
+    if (this.batch === batch) this.batch = null;
+    if (batch.sent) return;
+    batch.sent = true;
+    const keys = [...batch.keys()];
+    Promise.resolve()
+      .then(() => this.loadMany(keys))
+      .then(
+        values => keys.forEach((key, i) => batch.get(key).resolve(values[i])),
+        err => keys.forEach(key => batch.get(key).reject(err))
+      );
+  }
+}
+
+module.exports = Batcher;
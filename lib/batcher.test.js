@@ -0,0 +1,44 @@
+const Batcher = require('./batcher');
+
+describe('batcher', () => {
+  const double = jest.fn(async keys => keys.map(key => key * 2));
+
+  beforeEach(() => double.mockClear());
+
+  it('merges loads from the same tick', async () => {
+    const batcher = new Batcher(double);
+    const values = await Promise.all([
+      batcher.load(1),
+      batcher.load(2),
+      batcher.load(1),
+    ]);
+    expect(values).toEqual([2, 4, 2]);
+    expect(double).toHaveBeenCalledTimes(1);
+    expect(double).toHaveBeenCalledWith([1, 2]);
+    expect(await batcher.load(3)).toBe(6);
+    expect(double).toHaveBeenCalledTimes(2);
+  });
+
+  it('includes loads made from resolved promise callbacks', async () => {
+    const batcher = new Batcher(double);
+    const values = await Promise.all([
+      batcher.load(1),
+      Promise.resolve().then(() => batcher.load(2)),
+    ]);
+    expect(values).toEqual([2, 4]);
+    expect(double).toHaveBeenCalledTimes(1);
+  });
+
+  it('splits batches at maxBatchSize', async () => {
+    const batcher = new Batcher(double, { maxBatchSize: 2 });
+    await Promise.all([1, 2, 3].map(key => batcher.load(key)));
+    expect(double.mock.calls).toEqual([[[1, 2]], [[3]]]);
+  });
+
+  it('rejects every load of a failed batch', async () => {
+    const batcher = new Batcher(() => Promise.reject(new Error('down')));
+    const loads = [batcher.load(1), batcher.load(2)];
+    await expect(loads[0]).rejects.toThrow('down');
+    await expect(loads[1]).rejects.toThrow('down');
+  });
+});
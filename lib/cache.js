@@ -0,0 +1,100 @@
+//
+// cache.js - a read cache for documents and view lookups
+//
+// ReadCache keeps { value, at } entries in a store, an LruCache unless one
+// is passed in: anything with get(key), set(key, value) and delete(key),
+// sync or async, will do (e.g. a wrapper around redis).
+//
+
+// values are handed out as copies, callers tend to change documents
+const clone = value =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+//
+// LruCache - at most max entries, dropping the least recently used first
+//
+class LruCache {
+  constructor({ max = 1000 } = {}) {
+    this.max = max;
+    this.entries = new Map(); // in least to most recently used order
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+//
+// ReadCache - entries live for ttl ms, concurrent fetches of a key share a
+// single load, and a load that was in flight when its key was invalidated
+// isn't cached (it may have read the revision before the write).
+//
+class ReadCache {
+  constructor({ store, max, ttl = 60000, now = Date.now } = {}) {
+    this.store = store || new LruCache({ max });
+    this.ttl = ttl;
+    this.now = now;
+    this.pending = new Map(); // key => the promise of a load in flight
+    this.epoch = 0; // part of view keys, bumped to drop them all at once
+    this.stats = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  async fetch(key, load) {
+    const entry = await this.store.get(key);
+    if (entry && this.now() - entry.at < this.ttl) {
+      this.stats.hits++;
+      return clone(entry.value);
+    }
+    if (this.pending.has(key)) {
+      this.stats.coalesced++;
+      return clone(await this.pending.get(key));
+    }
+    this.stats.misses++;
+    const loading = load();
+    this.pending.set(key, loading);
+    try {
+      const value = await loading;
+      if (this.pending.get(key) === loading) {
+        await this.store.set(key, { value: clone(value), at: this.now() });
+      }
+      return value;
+    } finally {
+      if (this.pending.get(key) === loading) this.pending.delete(key);
+    }
+  }
+
+  async invalidate(key) {
+    this.pending.delete(key);
+    await this.store.delete(key);
+  }
+
+  // make every key built with the current epoch unreachable
+  newEpoch() {
+    this.epoch++;
+  }
+}
+
+module.exports = {
+  LruCache,
+  ReadCache,
+};
@@ -0,0 +1,82 @@
+const { LruCache, ReadCache } = require('./cache');
+
+describe('cache', () => {
+  describe('LruCache', () => {
+    it('drops the least recently used entry', () => {
+      const lru = new LruCache({ max: 2 });
+      lru.set('a', 1);
+      lru.set('b', 2);
+      expect(lru.get('a')).toBe(1);
+      lru.set('c', 3);
+      expect(lru.get('b')).toBe(undefined);
+      expect(lru.get('a')).toBe(1);
+      expect(lru.size).toBe(2);
+    });
+  });
+
+  describe('ReadCache', () => {
+    it('caches loaded values until they expire', async () => {
+      let now = 1000;
+      const cache = new ReadCache({ ttl: 10, now: () => now });
+      const load = jest.fn(async () => ({ n: 1 }));
+      expect(await cache.fetch('k', load)).toEqual({ n: 1 });
+      const hit = await cache.fetch('k', load);
+      hit.n = 2;
+      expect(await cache.fetch('k', load)).toEqual({ n: 1 });
+      expect(load).toHaveBeenCalledTimes(1);
+      now += 10;
+      await cache.fetch('k', load);
+      expect(load).toHaveBeenCalledTimes(2);
+      expect(cache.stats).toEqual({ hits: 2, misses: 2, coalesced: 0 });
+    });
+
+    it('coalesces concurrent fetches', async () => {
+      const cache = new ReadCache();
+      const load = jest.fn(async () => 'value');
+      const values = await Promise.all([
+        cache.fetch('k', load),
+        cache.fetch('k', load),
+        cache.fetch('k', load),
+      ]);
+      expect(values).toEqual(['value', 'value', 'value']);
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(cache.stats.coalesced).toBe(2);
+    });
+
+    it('does not cache failures', async () => {
+      const cache = new ReadCache();
+      await expect(
+        cache.fetch('k', () => Promise.reject(new Error('down')))
+      ).rejects.toThrow('down');
+      expect(await cache.fetch('k', async () => 'up')).toBe('up');
+    });
+
+    it('does not cache a load that was in flight when invalidated', async () => {
+      const cache = new ReadCache();
+      let finish;
+      const stale = cache.fetch(
+        'k',
+        () => new Promise(resolve => (finish = resolve))
+      );
+      await Promise.resolve();
+      await cache.invalidate('k');
+      finish('old');
+      expect(await stale).toBe('old');
+      expect(await cache.fetch('k', async () => 'new')).toBe('new');
+    });
+
+    it('works with an async store', async () => {
+      const map = new Map();
+      const store = {
+        get: async key => map.get(key),
+        set: async (key, value) => map.set(key, value),
+        delete: async key => map.delete(key),
+      };
+      const cache = new ReadCache({ store });
+      await cache.fetch('k', async () => 1);
+      expect(map.get('k').value).toBe(1);
+      await cache.invalidate('k');
+      expect(map.has('k')).toBe(false);
+    });
+  });
+});
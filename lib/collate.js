@@ -0,0 +1,47 @@
+//
+// collate.js - compare two json values the way couchdb orders view keys:
+//   null < false < true < numbers < strings < arrays < objects
+//
+const collator = new Intl.Collator('en');
+
+const rank = v => {
+  if (v === null || v === undefined) return 0;
+  if (v === false) return 1;
+  if (v === true) return 2;
+  if (typeof v === 'number') return 3;
+  if (typeof v === 'string') return 4;
+  if (Array.isArray(v)) return 5;
+  return 6;
+};
+
+const collate = (a, b) => {
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  switch (ra) {
+    case 3:
+      return a - b;
+    case 4:
+      return collator.compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+    case 5: {
+      for (let i = 0; i < a.length && i < b.length; i++) {
+        const c = collate(a[i], b[i]);
+        if (c) return c;
+      }
+      return a.length - b.length;
+    }
+    case 6: {
+      const ka = Object.keys(a);
+      const kb = Object.keys(b);
+      for (let i = 0; i < ka.length && i < kb.length; i++) {
+        const c = collate(ka[i], kb[i]) || collate(a[ka[i]], b[kb[i]]);
+        if (c) return c;
+      }
+      return ka.length - kb.length;
+    }
+    default:
+      return 0;
+  }
+};
+
+module.exports = collate;
@@ -0,0 +1,36 @@
+const collate = require('./collate');
+
+describe('collate', () => {
+  it('orders values the way couchdb does', () => {
+    const values = [
+      { b: 1 },
+      ['a', 1],
+      'B',
+      'a',
+      10,
+      2,
+      true,
+      false,
+      null,
+      ['a'],
+    ];
+    values.sort(collate);
+    expect(values).toEqual([
+      null,
+      false,
+      true,
+      2,
+      10,
+      'a',
+      'B',
+      ['a'],
+      ['a', 1],
+      { b: 1 },
+    ]);
+  });
+
+  it('treats equal values as equal', () => {
+    expect(collate(['a', { x: 1 }], ['a', { x: 1 }])).toBe(0);
+    expect(collate('a', 'A')).not.toBe(0);
+  });
+});
@@ -0,0 +1,34 @@
+//
+// cursor.js - opaque paging cursors for view queries
+//
+// A cursor remembers the view row a page starts from (its key and doc id),
+// which direction to read in and the view/sort order it belongs to.
+//
+
+const encode = ({ view, key, id, back, descending }) =>
+  Buffer.from(
+    JSON.stringify({ v: view, k: key, i: id, b: !!back, d: !!descending })
+  )
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// returns null for anything that isn't a cursor we made
+const decode = cursor => {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  try {
+    const { v, k, i, b, d } = JSON.parse(
+      Buffer.from(cursor, 'base64').toString('utf8')
+    );
+    if (typeof v !== 'string' || typeof i !== 'string') return null;
+    return { view: v, key: k, id: i, back: !!b, descending: !!d };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  encode,
+  decode,
+};
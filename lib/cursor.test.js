@@ -0,0 +1,28 @@
+const { encode, decode } = require('./cursor');
+
+describe('cursor', () => {
+  it('round trips a cursor', () => {
+    const cursor = encode({
+      view: 'by-name',
+      key: ['name/with+odd=chars?'],
+      id: 'WIDGET:1',
+      back: true,
+      descending: false,
+    });
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decode(cursor)).toEqual({
+      view: 'by-name',
+      key: ['name/with+odd=chars?'],
+      id: 'WIDGET:1',
+      back: true,
+      descending: false,
+    });
+  });
+
+  it('rejects anything else', () => {
+    expect(decode(undefined)).toBe(null);
+    expect(decode('')).toBe(null);
+    expect(decode('not-a-cursor')).toBe(null);
+    expect(decode(Buffer.from('{"x":1}').toString('base64'))).toBe(null);
+  });
+});
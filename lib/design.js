@@ -0,0 +1,79 @@
+//
+// design.js - build and compare design documents from declared views
+//
+
+// functions are stored in couchdb as source text
+const source = fn => (typeof fn === 'function' ? fn.toString() : fn);
+
+//
+// designDoc() - the design document for a set of declared views
+//
+const designDoc = (type, views, partitioned = true) => ({
+  _id: `_design/${type}`,
+  language: 'javascript',
+  options: { partitioned },
+  views: Object.keys(views).reduce((acc, name) => {
+    const { map, reduce } = views[name];
+    acc[name] = { map: source(map) };
+    if (reduce) acc[name].reduce = source(reduce);
+    return acc;
+  }, {}),
+});
+
+// wrap a map function so it only sees documents passing a test
+const guard = (map, test) =>
+  `function (doc) { if (${test}) (${source(map)})(doc); }`;
+
+//
+// withDeletedViews() - for soft deletes, each view skips documents with a
+// d_at, and gets a `${name}-with-deleted` twin that doesn't
+//
+const withDeletedViews = views =>
+  Object.keys(views).reduce((acc, name) => {
+    const { map, reduce } = views[name];
+    acc[name] = { map: guard(map, '!doc.d_at'), reduce };
+    acc[`${name}-with-deleted`] = views[name];
+    return acc;
+  }, {});
+
+//
+// withGuard() - each view only sees the documents passing test, e.g. those
+// of its own type in a partition shared with others
+//
+const withGuard = (views, test) =>
+  Object.keys(views).reduce((acc, name) => {
+    const { map, reduce } = views[name];
+    acc[name] = { map: guard(map, test), reduce };
+    return acc;
+  }, {});
+
+//
+// withoutAudit() - each view skips audit trail entries
+//
+const withoutAudit = views => withGuard(views, '!doc.audit_of');
+
+//
+// diffDesignDocs() - what has to change to turn current into wanted
+//
+const diffDesignDocs = (current, wanted) => {
+  const have = (current && current.views) || {};
+  const want = wanted.views;
+  const same = (a, b) => a.map === b.map && a.reduce === b.reduce;
+  const options = (current && current.options) || {};
+  return {
+    added: Object.keys(want).filter(name => !have[name]),
+    changed: Object.keys(want).filter(
+      name => have[name] && !same(have[name], want[name])
+    ),
+    removed: Object.keys(have).filter(name => !want[name]),
+    options: options.partitioned !== wanted.options.partitioned,
+  };
+};
+
+module.exports = {
+  designDoc,
+  diffDesignDocs,
+  withDeletedViews,
+  withGuard,
+  withoutAudit,
+};
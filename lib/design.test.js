@@ -0,0 +1,104 @@
+const {
+  designDoc,
+  diffDesignDocs,
+  withDeletedViews,
+  withGuard,
+  withoutAudit,
+} = require('./design');
+
+describe('design', () => {
+  const views = {
+    'by-name': {
+      reduce: '_count',
+      map: ({ name }) => name && emit([name], 1),
+    },
+    'by-label': {
+      map: 'function (doc) { emit([doc.label], null); }',
+    },
+  };
+
+  describe('designDoc()', () => {
+    it('builds a partitioned design document', () => {
+      const ddoc = designDoc('WIDGET', views);
+      expect(ddoc._id).toBe('_design/WIDGET');
+      expect(ddoc.options.partitioned).toBe(true);
+      expect(ddoc.views['by-name'].map).toBe(views['by-name'].map.toString());
+      expect(ddoc.views['by-name'].reduce).toBe('_count');
+      expect(ddoc.views['by-label'].map).toBe(views['by-label'].map);
+      expect(ddoc.views['by-label']).not.toHaveProperty('reduce');
+    });
+
+    it('honours the partitioned flag', () => {
+      expect(designDoc('WIDGET', views, false).options.partitioned).toBe(false);
+    });
+  });
+
+  describe('withDeletedViews()', () => {
+    it('hides soft deleted documents and adds twins that do not', () => {
+      const ddoc = designDoc('WIDGET', withDeletedViews(views));
+      expect(Object.keys(ddoc.views)).toEqual([
+        'by-name',
+        'by-name-with-deleted',
+        'by-label',
+        'by-label-with-deleted',
+      ]);
+      expect(ddoc.views['by-name'].map).toContain('doc.d_at');
+      expect(ddoc.views['by-name'].reduce).toBe('_count');
+      expect(ddoc.views['by-name-with-deleted']).toEqual(
+        designDoc('WIDGET', views).views['by-name']
+      );
+    });
+  });
+
+  describe('withGuard()', () => {
+    it('only shows documents passing the test', () => {
+      const ddoc = designDoc('WIDGET', withGuard(views, 'doc.kind === 1'));
+      expect(ddoc.views['by-label'].map).toBe(
+        `function (doc) { if (doc.kind === 1) (${views['by-label'].map})(doc); }`
+      );
+      expect(ddoc.views['by-name'].reduce).toBe('_count');
+    });
+  });
+
+  describe('withoutAudit()', () => {
+    it('hides audit trail entries', () => {
+      const ddoc = designDoc('WIDGET', withoutAudit(views));
+      expect(Object.keys(ddoc.views)).toEqual(['by-name', 'by-label']);
+      expect(ddoc.views['by-name'].map).toContain('doc.audit_of');
+      expect(ddoc.views['by-name'].reduce).toBe('_count');
+    });
+  });
+
+  describe('diffDesignDocs()', () => {
+    it('treats a missing design document as all new', () => {
+      const diff = diffDesignDocs(null, designDoc('WIDGET', views));
+      expect(diff.added).toEqual(['by-name', 'by-label']);
+      expect(diff.changed).toEqual([]);
+      expect(diff.removed).toEqual([]);
+      expect(diff.options).toBe(true);
+    });
+
+    it('finds no differences between identical definitions', () => {
+      const diff = diffDesignDocs(
+        designDoc('WIDGET', views),
+        designDoc('WIDGET', views)
+      );
+      expect(diff).toEqual({
+        added: [],
+        changed: [],
+        removed: [],
+        options: false,
+      });
+    });
+
+    it('finds changed and removed views', () => {
+      const current = designDoc('WIDGET', views);
+      const wanted = designDoc('WIDGET', {
+        'by-name': { map: views['by-name'].map },
+      });
+      const diff = diffDesignDocs(current, wanted);
+      expect(diff.changed).toEqual(['by-name']);
+      expect(diff.removed).toEqual(['by-label']);
+    });
+  });
+});
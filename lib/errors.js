@@ -0,0 +1,152 @@
+//
+// errors.js - typed errors thrown by the DAO
+//
+
+class DAOError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+// a caller passed something that isn't usable (bad id, bad options, etc.)
+class BadArgumentError extends DAOError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+// a document failed schema validation, errors[] comes from jsonschema
+class ValidationError extends DAOError {
+  constructor(message, errors = []) {
+    super(message, 400);
+    this.errors = errors;
+  }
+}
+
+// a document (or id) belongs to a different dao type
+class TypeMismatchError extends DAOError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+class UnauthorizedError extends DAOError {
+  constructor(message) {
+    super(message, 401);
+  }
+}
+
+class ForbiddenError extends DAOError {
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+class NotFoundError extends DAOError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+class ConflictError extends DAOError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+// a view key that should identify a single document matched several
+class NotUniqueError extends DAOError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+// an operation was cancelled through an AbortSignal (499 - client closed request)
+class AbortError extends DAOError {
+  constructor(message) {
+    super(message, 499);
+  }
+}
+
+// anything else couchdb complains about (5xx, unexpected responses...)
+class DatabaseError extends DAOError {
+  constructor(message, statusCode = 500) {
+    super(message, statusCode);
+  }
+}
+
+//
+// fromCouch() - translate a nano error into one of the errors above
+//
+const fromCouch = err => {
+  if (err instanceof DAOError) return err;
+  if (!err || typeof err.statusCode !== 'number') return err; // not from couch
+  const message = err.reason || err.description || err.message;
+  let typed;
+  switch (err.statusCode) {
+    case 400:
+      typed = new BadArgumentError(message);
+      break;
+    case 401:
+      typed = new UnauthorizedError(message);
+      break;
+    case 403:
+      typed = new ForbiddenError(message);
+      break;
+    case 404:
+      typed = new NotFoundError(message);
+      break;
+    case 409:
+    case 412:
+      typed = new ConflictError(message);
+      break;
+    default:
+      typed = new DatabaseError(message, err.statusCode);
+  }
+  typed.cause = err;
+  return typed;
+};
+
+// the error field of a failed _bulk_docs row
+const bulkStatusCodes = {
+  bad_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+};
+
+//
+// fromBulkRow() - translate a failed _bulk_docs row
+//
+const fromBulkRow = row =>
+  fromCouch({
+    statusCode: bulkStatusCodes[row.error] || 500,
+    error: row.error,
+    reason: row.reason,
+    message: row.reason || row.error,
+  });
+
+// for use in promise chains: db.insert(doc).catch(rethrow)
+const rethrow = err => {
+  throw fromCouch(err);
+};
+
+module.exports = {
+  DAOError,
+  BadArgumentError,
+  ValidationError,
+  TypeMismatchError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  NotUniqueError,
+  AbortError,
+  DatabaseError,
+  fromCouch,
+  fromBulkRow,
+  rethrow,
+};
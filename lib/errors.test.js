@@ -0,0 +1,96 @@
+const errors = require('./errors');
+
+const {
+  DAOError,
+  BadArgumentError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  DatabaseError,
+  fromCouch,
+  fromBulkRow,
+  rethrow,
+} = errors;
+
+const couchError = (statusCode, reason) => {
+  const err = new Error(reason);
+  err.statusCode = statusCode;
+  err.reason = reason;
+  return err;
+};
+
+describe('errors', () => {
+  describe('error classes', () => {
+    it('are all DAOErrors', () => {
+      const err = new ValidationError('invalid document', [{ message: 'x' }]);
+      expect(err).toBeInstanceOf(Error);
+      expect(err).toBeInstanceOf(DAOError);
+      expect(err.name).toBe('ValidationError');
+      expect(err.statusCode).toBe(400);
+      expect(err.errors.length).toBe(1);
+    });
+  });
+
+  describe('fromCouch()', () => {
+    it('translates couchdb status codes', () => {
+      expect(fromCouch(couchError(400, 'bad'))).toBeInstanceOf(
+        BadArgumentError
+      );
+      expect(fromCouch(couchError(401, 'who'))).toBeInstanceOf(
+        UnauthorizedError
+      );
+      expect(fromCouch(couchError(403, 'no'))).toBeInstanceOf(ForbiddenError);
+      expect(fromCouch(couchError(404, 'missing'))).toBeInstanceOf(
+        NotFoundError
+      );
+      expect(fromCouch(couchError(409, 'conflict'))).toBeInstanceOf(
+        ConflictError
+      );
+      expect(fromCouch(couchError(412, 'exists'))).toBeInstanceOf(
+        ConflictError
+      );
+    });
+
+    it('keeps the original error and status code', () => {
+      const original = couchError(503, 'unavailable');
+      const err = fromCouch(original);
+      expect(err).toBeInstanceOf(DatabaseError);
+      expect(err.statusCode).toBe(503);
+      expect(err.message).toBe('unavailable');
+      expect(err.cause).toBe(original);
+    });
+
+    it('passes through errors that did not come from couchdb', () => {
+      const original = new TypeError('oops');
+      expect(fromCouch(original)).toBe(original);
+      const typed = new NotFoundError('gone');
+      expect(fromCouch(typed)).toBe(typed);
+    });
+  });
+
+  describe('fromBulkRow()', () => {
+    it('translates failed _bulk_docs rows', () => {
+      const err = fromBulkRow({
+        id: 'WIDGET:1',
+        error: 'conflict',
+        reason: 'Document update conflict.',
+      });
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.message).toBe('Document update conflict.');
+      expect(fromBulkRow({ error: 'forbidden' })).toBeInstanceOf(
+        ForbiddenError
+      );
+      expect(fromBulkRow({ error: 'weird' })).toBeInstanceOf(DatabaseError);
+    });
+  });
+
+  describe('rethrow()', () => {
+    it('throws the translated error', () => {
+      expect(() => rethrow(couchError(409, 'conflict'))).toThrow(
+        ConflictError
+      );
+    });
+  });
+});
@@ -0,0 +1,145 @@
+//
+// mango.js - evaluate mango (_find) selectors, sorts and field lists
+//
+// Used by the in-memory db, covers the commonly used selector operators:
+// $eq $ne $gt $gte $lt $lte $in $nin $exists $type $regex $size $mod
+// $all $elemMatch $allMatch $and $or $nor $not
+//
+const collate = require('./collate');
+
+// get a (dotted) field path from a document
+const field = (doc, path) =>
+  path
+    .split('.')
+    .reduce(
+      (value, name) =>
+        value !== null && typeof value === 'object' ? value[name] : undefined,
+      doc
+    );
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const isOperator = key => key.startsWith('$');
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// compare a field value against a (possibly implicit) condition
+const test = (value, condition) => {
+  if (!isPlainObject(condition)) {
+    return value !== undefined && collate(value, condition) === 0;
+  }
+  const keys = Object.keys(condition);
+  if (!keys.length || !keys.every(isOperator)) {
+    // a nested selector, e.g. { address: { city: 'Paris' } }
+    return isPlainObject(value) && matches(value, condition);
+  }
+  return keys.every(op => {
+    if (!operators[op]) throw new Error(`unsupported operator: ${op}`);
+    return operators[op](value, condition[op]);
+  });
+};
+
+const defined = fn => (value, arg) => value !== undefined && fn(value, arg);
+
+const operators = {
+  $eq: defined((value, arg) => collate(value, arg) === 0),
+  $ne: (value, arg) => value === undefined || collate(value, arg) !== 0,
+  $gt: defined((value, arg) => collate(value, arg) > 0),
+  $gte: defined((value, arg) => collate(value, arg) >= 0),
+  $lt: defined((value, arg) => collate(value, arg) < 0),
+  $lte: defined((value, arg) => collate(value, arg) <= 0),
+  $in: defined((value, arg) => arg.some(item => collate(value, item) === 0)),
+  $nin: defined((value, arg) => !arg.some(item => collate(value, item) === 0)),
+  $exists: (value, arg) => (value !== undefined) === arg,
+  $type: defined((value, arg) => typeOf(value) === arg),
+  $regex: defined(
+    (value, arg) => typeof value === 'string' && new RegExp(arg).test(value)
+  ),
+  $size: defined((value, arg) => Array.isArray(value) && value.length === arg),
+  $mod: defined(
+    (value, [divisor, remainder]) =>
+      Number.isInteger(value) && value % divisor === remainder
+  ),
+  $all: defined(
+    (value, arg) =>
+      Array.isArray(value) &&
+      arg.every(item => value.some(v => collate(v, item) === 0))
+  ),
+  $elemMatch: defined(
+    (value, arg) => Array.isArray(value) && value.some(v => test(v, arg))
+  ),
+  $allMatch: defined(
+    (value, arg) =>
+      Array.isArray(value) && value.length > 0 && value.every(v => test(v, arg))
+  ),
+  $not: (value, arg) => !test(value, arg),
+};
+
+const combinators = {
+  $and: (doc, arg) => arg.every(selector => matches(doc, selector)),
+  $or: (doc, arg) => arg.some(selector => matches(doc, selector)),
+  $nor: (doc, arg) => !arg.some(selector => matches(doc, selector)),
+  $not: (doc, arg) => !matches(doc, arg),
+};
+
+//
+// matches() - does a document satisfy a selector
+//
+const matches = (doc, selector) =>
+  Object.keys(selector).every(key => {
+    if (combinators[key]) return combinators[key](doc, selector[key]);
+    if (isOperator(key)) throw new Error(`unsupported operator: ${key}`);
+    return test(field(doc, key), selector[key]);
+  });
+
+//
+// sorter() - a compare function for a mango sort, e.g. ['name', { age: 'desc' }]
+//
+const sorter = (sort = []) => {
+  const rules = sort.map(rule =>
+    typeof rule === 'string'
+      ? { path: rule, dir: 1 }
+      : {
+          path: Object.keys(rule)[0],
+          dir: Object.values(rule)[0] === 'desc' ? -1 : 1,
+        }
+  );
+  return (a, b) => {
+    for (const { path, dir } of rules) {
+      const c = collate(field(a, path), field(b, path));
+      if (c) return dir * c;
+    }
+    return 0;
+  };
+};
+
+//
+// project() - keep only the listed (dotted) fields of a document
+//
+const project = (doc, fields) => {
+  if (!fields) return doc;
+  const out = {};
+  fields.forEach(path => {
+    const value = field(doc, path);
+    if (value === undefined) return;
+    const names = path.split('.');
+    const last = names.pop();
+    const parent = names.reduce(
+      (obj, name) => (obj[name] = obj[name] || {}),
+      out
+    );
+    parent[last] = value;
+  });
+  return out;
+};
+
+module.exports = {
+  matches,
+  sorter,
+  project,
+};
@@ -0,0 +1,92 @@
+const { matches, sorter, project } = require('./mango');
+
+describe('mango', () => {
+  const doc = {
+    _id: 'WIDGET:1',
+    name: 'widget',
+    qty: 7,
+    tags: ['red', 'blue'],
+    parts: [
+      { sku: 'A', qty: 1 },
+      { sku: 'B', qty: 4 },
+    ],
+    address: { city: 'Paris' },
+    retired: null,
+  };
+
+  describe('matches()', () => {
+    it('matches implicit equality and nested fields', () => {
+      expect(matches(doc, { name: 'widget' })).toBe(true);
+      expect(matches(doc, { 'address.city': 'Paris' })).toBe(true);
+      expect(matches(doc, { address: { city: 'Paris' } })).toBe(true);
+      expect(matches(doc, { name: 'gadget' })).toBe(false);
+      expect(matches(doc, { missing: null })).toBe(false);
+      expect(matches(doc, { retired: null })).toBe(true);
+    });
+
+    it('supports comparison operators', () => {
+      expect(matches(doc, { qty: { $gt: 5, $lte: 7 } })).toBe(true);
+      expect(matches(doc, { qty: { $lt: 7 } })).toBe(false);
+      expect(matches(doc, { qty: { $ne: 3 } })).toBe(true);
+      expect(matches(doc, { qty: { $in: [1, 7] } })).toBe(true);
+      expect(matches(doc, { qty: { $nin: [1, 7] } })).toBe(false);
+      expect(matches(doc, { qty: { $mod: [2, 1] } })).toBe(true);
+    });
+
+    it('supports field operators', () => {
+      expect(matches(doc, { missing: { $exists: false } })).toBe(true);
+      expect(matches(doc, { name: { $type: 'string' } })).toBe(true);
+      expect(matches(doc, { name: { $regex: '^wid' } })).toBe(true);
+      expect(matches(doc, { tags: { $size: 2 } })).toBe(true);
+      expect(matches(doc, { tags: { $all: ['blue', 'red'] } })).toBe(true);
+      expect(matches(doc, { parts: { $elemMatch: { sku: 'B' } } })).toBe(true);
+      expect(matches(doc, { parts: { $allMatch: { qty: { $gt: 1 } } } })).toBe(
+        false
+      );
+      expect(matches(doc, { qty: { $not: { $gt: 10 } } })).toBe(true);
+    });
+
+    it('supports combination operators', () => {
+      expect(matches(doc, { $or: [{ qty: 1 }, { name: 'widget' }] })).toBe(
+        true
+      );
+      expect(matches(doc, { $and: [{ qty: 7 }, { name: 'gadget' }] })).toBe(
+        false
+      );
+      expect(matches(doc, { $nor: [{ qty: 1 }, { name: 'gadget' }] })).toBe(
+        true
+      );
+    });
+
+    it('rejects unknown operators', () => {
+      expect(() => matches(doc, { qty: { $near: 1 } })).toThrow(
+        'unsupported operator: $near'
+      );
+      expect(() => matches(doc, { $where: 'x' })).toThrow(
+        'unsupported operator: $where'
+      );
+    });
+  });
+
+  describe('sorter()', () => {
+    it('sorts by several fields and directions', () => {
+      const docs = [
+        { a: 1, b: 'x' },
+        { a: 2, b: 'y' },
+        { a: 1, b: 'z' },
+      ];
+      docs.sort(sorter(['a', { b: 'desc' }]));
+      expect(docs.map(({ b }) => b)).toEqual(['z', 'x', 'y']);
+    });
+  });
+
+  describe('project()', () => {
+    it('keeps only the requested fields', () => {
+      expect(project(doc, ['_id', 'address.city', 'nope'])).toEqual({
+        _id: 'WIDGET:1',
+        address: { city: 'Paris' },
+      });
+      expect(project(doc)).toBe(doc);
+    });
+  });
+});
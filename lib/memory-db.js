@@ -0,0 +1,684 @@
+//
+// memory-db.js - an in-memory stand-in for a (partitioned) nano db object
+//
+// Implements the subset of the nano db api used by the DAO, with couchdb
+// style revisions, conflicts and errors, so DAO subclasses can be unit
+// tested without a couchdb server:
+//
+//   const MemoryDB = require('dao-couchdb/lib/memory-db');
+//   const dao = new Widget('WIDGET', new MemoryDB());
+//
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const collate = require('./collate');
+const { matches, sorter, project } = require('./mango');
+
+//
+// helpers
+//
+
+// a nano style error
+const couchError = (statusCode, error, reason) =>
+  Object.assign(new Error(reason), {
+    scope: 'couch',
+    statusCode,
+    error,
+    reason,
+    description: reason,
+  });
+
+// everything is stored as json, functions (e.g. view maps) as source text
+const clone = value =>
+  value === undefined
+    ? undefined
+    : JSON.parse(
+        JSON.stringify(value, (key, v) =>
+          typeof v === 'function' ? v.toString() : v
+        )
+      );
+
+const nextRev = (rev, body) => {
+  const n = rev ? parseInt(rev, 10) + 1 : 1;
+  const hash = crypto
+    .createHash('md5')
+    .update(`${rev || ''}${JSON.stringify(body)}`)
+    .digest('hex');
+  return `${n}-${hash}`;
+};
+
+const revNumber = rev => (rev ? parseInt(rev, 10) : 0);
+
+const md5 = data => crypto.createHash('md5').update(data).digest('base64');
+
+// the stub couchdb returns in place of an attachment's data
+const stub = ({ content_type, length, digest, revpos }) => ({
+  content_type,
+  digest,
+  length,
+  revpos,
+  stub: true,
+});
+
+const isSpecial = id => id.startsWith('_design/') || id.startsWith('_local/');
+
+//
+// built in reducers
+//
+const add = (a, b) => {
+  if (!Array.isArray(a) && !Array.isArray(b)) return a + b;
+  const x = [].concat(a);
+  const y = [].concat(b);
+  return Array.from(
+    { length: Math.max(x.length, y.length) },
+    (_, i) => (x[i] || 0) + (y[i] || 0)
+  );
+};
+
+const sum = values => values.reduce(add, 0);
+
+const builtins = {
+  _count: (keys, values) => values.length,
+  _sum: (keys, values) => sum(values),
+  _stats: (keys, values) => ({
+    sum: sum(values),
+    count: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    sumsqr: values.reduce((acc, v) => acc + v * v, 0),
+  }),
+};
+
+// compile map/reduce source text, with the couchdb view server globals
+const compile = (source, emit) =>
+  new Function('emit', 'log', 'sum', 'toJSON', `return (${source});`)(
+    emit,
+    () => {},
+    sum,
+    JSON.stringify
+  );
+
+class MemoryDB {
+  //
+  // constructor
+  //
+  constructor({ name = 'memory-db', partitioned = true } = {}) {
+    this.config = { db: name };
+    this.partitioned = partitioned;
+    this.docs = new Map(); // _id => { rev, deleted, body, attachments, seq }
+    this.maps = new Map(); // map source => compiled map function
+    this.seq = 0; // update sequence, bumped by every write
+    this.waiting = new Set(); // longpoll _changes requests waiting for a write
+    this.attachment = {
+      get: async (id, name) => this._attachment(id, name),
+      getAsStream: (id, name) => {
+        const out = new PassThrough();
+        process.nextTick(() => {
+          try {
+            out.end(this._attachment(id, name));
+          } catch (err) {
+            out.destroy(err);
+          }
+        });
+        return out;
+      },
+    };
+    // the raw requests of nano's server scope, only those the dao makes
+    this.server = { request: async req => this._request(req) };
+  }
+
+  _request({ db, path, method = 'GET', qs = {}, body = {} }) {
+    if (db !== this.config.db || path !== '_changes' || method !== 'POST') {
+      throw couchError(400, 'bad_request', 'unsupported request');
+    }
+    return this.changes({ ...qs, selector: body.selector });
+  }
+
+  _changed() {
+    this.waiting.forEach(wake => wake());
+  }
+
+  _live(id) {
+    const entry = this.docs.get(id);
+    return entry && !entry.deleted ? entry : null;
+  }
+
+  // withData puts the attachments' base64 data in place of their stubs, as
+  // couchdb does for attachments=true
+  _doc(id, entry, withData = false) {
+    const doc = { _id: id, _rev: entry.rev, ...clone(entry.body) };
+    const names = Object.keys(entry.attachments || {});
+    if (names.length) {
+      doc._attachments = names.reduce((acc, name) => {
+        const { content_type, digest, revpos, data } = entry.attachments[name];
+        acc[name] = withData
+          ? { content_type, digest, revpos, data }
+          : stub(entry.attachments[name]);
+        return acc;
+      }, {});
+    }
+    return doc;
+  }
+
+  // the attachments of a new revision, inline ones ({ content_type, data }
+  // with base64 data) are stored, stubs keep those of the current revision
+  _attachments(given = {}, current = {}, revpos) {
+    return Object.keys(given).reduce((acc, name) => {
+      const att = given[name];
+      if (att.stub) {
+        if (!current[name]) {
+          throw couchError(412, 'missing_stub', `missing attachment: ${name}`);
+        }
+        acc[name] = current[name];
+      } else {
+        const data = Buffer.from(att.data, 'base64');
+        acc[name] = {
+          content_type: att.content_type,
+          data: att.data,
+          length: data.length,
+          digest: `md5-${md5(data)}`,
+          revpos,
+        };
+      }
+      return acc;
+    }, {});
+  }
+
+  _attachment(id, name) {
+    const entry = this._live(id);
+    const att = entry && entry.attachments && entry.attachments[name];
+    if (!att)
+      throw couchError(404, 'not_found', 'Document is missing attachment');
+    return Buffer.from(att.data, 'base64');
+  }
+
+  _write(doc) {
+    const { _id, _rev, _deleted, _attachments, ...body } = doc;
+    if (this.partitioned && !isSpecial(_id) && !/^[^_:][^:]*:./.test(_id)) {
+      throw couchError(
+        400,
+        'illegal_docid',
+        'Doc id must be of form partition:id'
+      );
+    }
+    const entry = this.docs.get(_id);
+    const current = entry && !entry.deleted ? entry.rev : undefined;
+    if ((_rev || undefined) !== current) {
+      throw couchError(409, 'conflict', 'Document update conflict.');
+    }
+    const rev = nextRev(entry ? entry.rev : undefined, body);
+    const attachments = _deleted
+      ? {}
+      : this._attachments(
+          _attachments,
+          current && entry.attachments,
+          revNumber(rev)
+        );
+    this.docs.set(_id, {
+      rev,
+      deleted: !!_deleted,
+      body: _deleted ? {} : body,
+      attachments,
+      seq: ++this.seq,
+    });
+    this._changed();
+    return { ok: true, id: _id, rev };
+  }
+
+  //
+  // documents
+  //
+  async insert(doc, params) {
+    doc = clone(doc);
+    if (typeof params === 'string') doc._id = params;
+    else if (params && params.docName) doc._id = params.docName;
+    if (!doc._id) {
+      doc._id = crypto.randomBytes(16).toString('hex');
+    }
+    return this._write(doc);
+  }
+
+  async get(id) {
+    const entry = this.docs.get(id);
+    if (!entry) throw couchError(404, 'not_found', 'missing');
+    if (entry.deleted) throw couchError(404, 'not_found', 'deleted');
+    return this._doc(id, entry);
+  }
+
+  async destroy(id, rev) {
+    if (!this._live(id)) throw couchError(404, 'not_found', 'missing');
+    return this._write({ _id: id, _rev: rev, _deleted: true });
+  }
+
+  async bulk({ docs }) {
+    return docs.map(doc => {
+      doc = clone(doc);
+      if (!doc._id) doc._id = crypto.randomBytes(16).toString('hex');
+      try {
+        return this._write(doc);
+      } catch (err) {
+        return { id: doc._id, error: err.error, reason: err.reason };
+      }
+    });
+  }
+
+  async info() {
+    const entries = [...this.docs.values()];
+    return {
+      db_name: this.config.db,
+      doc_count: entries.filter(entry => !entry.deleted).length,
+      doc_del_count: entries.filter(entry => entry.deleted).length,
+      update_seq: this.seq,
+      props: this.partitioned ? { partitioned: true } : {},
+    };
+  }
+
+  async partitionInfo(partition) {
+    const entries = [...this.docs.entries()]
+      .filter(([id]) => id.startsWith(`${partition}:`))
+      .map(([, entry]) => entry);
+    return {
+      db_name: this.config.db,
+      partition,
+      doc_count: entries.filter(entry => !entry.deleted).length,
+      doc_del_count: entries.filter(entry => entry.deleted).length,
+    };
+  }
+
+  //
+  // _all_docs - rows in (raw) _id order
+  //
+  _allDocs(partition, opts = {}) {
+    const inPartition = id =>
+      partition === undefined || id.startsWith(`${partition}:`);
+    const row = (id, entry) => {
+      const res = { id, key: id, value: { rev: entry.rev } };
+      if (entry.deleted) {
+        res.value.deleted = true;
+        if (opts.include_docs) res.doc = null;
+      } else if (opts.include_docs) {
+        res.doc = this._doc(id, entry, !!opts.attachments);
+      }
+      return res;
+    };
+    const live = [...this.docs.keys()]
+      .filter(id => !this.docs.get(id).deleted && inPartition(id))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    if (Array.isArray(opts.keys)) {
+      return {
+        total_rows: live.length,
+        rows: opts.keys.map(key => {
+          const entry = this.docs.get(key);
+          if (!entry || !inPartition(key)) return { key, error: 'not_found' };
+          return row(key, entry);
+        }),
+      };
+    }
+
+    const ordered = opts.descending ? live.slice().reverse() : live;
+    const dir = opts.descending ? -1 : 1;
+    const compare = (a, b) => dir * (a < b ? -1 : a > b ? 1 : 0);
+    const startkey = 'start_key' in opts ? opts.start_key : opts.startkey;
+    const endkey = 'end_key' in opts ? opts.end_key : opts.endkey;
+    const inclusive = opts.inclusive_end !== false;
+    const ids = ordered.filter(id => {
+      if (opts.key !== undefined) return id === opts.key;
+      if (startkey !== undefined && compare(id, startkey) < 0) return false;
+      if (endkey !== undefined) {
+        const c = compare(id, endkey);
+        if (inclusive ? c > 0 : c >= 0) return false;
+      }
+      return true;
+    });
+    const skip = opts.skip || 0;
+    const limit = opts.limit === undefined ? Infinity : opts.limit;
+    return {
+      total_rows: live.length,
+      offset: (ids.length ? ordered.indexOf(ids[0]) : ordered.length) + skip,
+      rows: ids.slice(skip, skip + limit).map(id => row(id, this.docs.get(id))),
+    };
+  }
+
+  async list(opts) {
+    return this._allDocs(undefined, opts);
+  }
+
+  async partitionedList(partition, opts) {
+    return this._allDocs(partition, opts);
+  }
+
+  async fetch({ keys }, opts = {}) {
+    return this._allDocs(undefined, { ...opts, keys, include_docs: true });
+  }
+
+  //
+  // _changes - the latest change of each document, in update sequence order.
+  // With filter '_selector' only the changes whose document (a stub for
+  // deleted ones) matches opts.selector
+  //
+  _changes(since, opts) {
+    const changes = [...this.docs.entries()]
+      .filter(([, entry]) => entry.seq > since)
+      .sort(([, a], [, b]) => a.seq - b.seq)
+      .map(([id, entry]) => {
+        const change = { seq: entry.seq, id, changes: [{ rev: entry.rev }] };
+        if (entry.deleted) change.deleted = true;
+        change.doc = entry.deleted
+          ? { _id: id, _rev: entry.rev, _deleted: true }
+          : this._doc(id, entry);
+        return change;
+      });
+    const selected =
+      opts.filter === '_selector'
+        ? changes.filter(({ doc }) => matches(doc, opts.selector))
+        : changes;
+    const limit = opts.limit === undefined ? Infinity : opts.limit;
+    const results = selected.slice(0, limit);
+    // the seq of the last change looked at, matching or not
+    const last =
+      selected.length > limit
+        ? results[results.length - 1]
+        : changes[changes.length - 1];
+    return {
+      results: results.map(({ doc, ...change }) =>
+        opts.include_docs ? { ...change, doc } : change
+      ),
+      last_seq: last ? last.seq : since,
+      pending: selected.length - results.length,
+    };
+  }
+
+  // since is 'now' or a seq, feed 'longpoll' waits (up to timeout ms) for a
+  // change when there are none yet
+  async changes(opts = {}) {
+    if (opts.filter === '_selector' && !opts.selector) {
+      throw couchError(400, 'bad_request', 'Selector must be specified');
+    }
+    const since = opts.since === 'now' ? this.seq : Number(opts.since) || 0;
+    let res = this._changes(since, opts);
+    if (!res.results.length && opts.feed === 'longpoll') {
+      await new Promise(resolve => {
+        const wake = () => {
+          clearTimeout(timer);
+          this.waiting.delete(wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, opts.timeout || 60000);
+        this.waiting.add(wake);
+      });
+      res = this._changes(since, opts);
+    }
+    return res;
+  }
+
+  //
+  // views
+  //
+  _map(source) {
+    if (!this.maps.has(source)) {
+      let emitted;
+      const fn = compile(source, (key = null, value = null) =>
+        emitted.push({ key: clone(key), value: clone(value) })
+      );
+      this.maps.set(source, doc => {
+        emitted = [];
+        try {
+          fn(doc);
+        } catch (err) {
+          // like couchdb, a map function that throws skips the document
+        }
+        return emitted;
+      });
+    }
+    return this.maps.get(source);
+  }
+
+  _rows(partition, view) {
+    const map = this._map(view.map);
+    const rows = [];
+    for (const [id, entry] of this.docs) {
+      if (entry.deleted || isSpecial(id)) continue;
+      if (partition !== undefined && !id.startsWith(`${partition}:`)) continue;
+      const doc = this._doc(id, entry);
+      map(doc).forEach(({ key, value }) => rows.push({ id, key, value }));
+    }
+    return rows.sort((a, b) => collate(a.key, b.key) || collate(a.id, b.id));
+  }
+
+  _reduce(view, rows) {
+    const reducer =
+      builtins[view.reduce] || compile(view.reduce, () => undefined);
+    return reducer(
+      rows.map(row => [row.key, row.id]),
+      rows.map(row => row.value),
+      false
+    );
+  }
+
+  async _query(partition, ddoc, viewName, opts = {}) {
+    const design = this._live(`_design/${ddoc}`);
+    const view = design && design.body.views && design.body.views[viewName];
+    if (!view) throw couchError(404, 'not_found', 'missing_named_view');
+    const partitioned = !design.body.options || design.body.options.partitioned;
+    if (partition !== undefined && partitioned === false) {
+      throw couchError(
+        400,
+        'query_parse_error',
+        `\`partition\` parameter is not supported in this design doc`
+      );
+    }
+
+    const reduce = opts.reduce !== false && !!view.reduce;
+    if (opts.reduce === true && !view.reduce) {
+      throw couchError(
+        400,
+        'query_parse_error',
+        `Reduce is invalid for map-only views.`
+      );
+    }
+    if (reduce && opts.include_docs) {
+      throw couchError(
+        400,
+        'query_parse_error',
+        '`include_docs` is invalid for reduce'
+      );
+    }
+
+    const all = this._rows(partition, view);
+    const dir = opts.descending ? -1 : 1;
+    const ordered = opts.descending ? all.slice().reverse() : all;
+
+    const startkey = 'start_key' in opts ? opts.start_key : opts.startkey;
+    const endkey = 'end_key' in opts ? opts.end_key : opts.endkey;
+    const compareTo = (row, key, docid) =>
+      dir *
+      (collate(row.key, key) ||
+        (docid === undefined ? 0 : collate(row.id, docid)));
+
+    let rows;
+    if (Array.isArray(opts.keys)) {
+      rows = [].concat(
+        ...opts.keys.map(key => ordered.filter(row => !collate(row.key, key)))
+      );
+    } else if ('key' in opts && opts.key !== undefined) {
+      rows = ordered.filter(row => !collate(row.key, opts.key));
+    } else {
+      const inclusive = opts.inclusive_end !== false;
+      rows = ordered.filter(row => {
+        if (
+          startkey !== undefined &&
+          compareTo(row, startkey, opts.startkey_docid) < 0
+        ) {
+          return false;
+        }
+        if (endkey !== undefined) {
+          const c = compareTo(row, endkey, opts.endkey_docid);
+          if (inclusive ? c > 0 : c >= 0) return false;
+        }
+        return true;
+      });
+    }
+
+    const skip = opts.skip || 0;
+    const limit = opts.limit === undefined ? Infinity : opts.limit;
+
+    if (reduce) {
+      const level = opts.group ? Infinity : opts.group_level;
+      if (level === undefined) {
+        if (!rows.length) return { rows: [] };
+        const value = this._reduce(view, rows);
+        return { rows: [{ key: null, value }].slice(skip, skip + limit) };
+      }
+      const groups = [];
+      rows.forEach(row => {
+        const key =
+          Array.isArray(row.key) && level !== Infinity
+            ? row.key.slice(0, level)
+            : row.key;
+        const last = groups[groups.length - 1];
+        if (last && !collate(last.key, key)) last.rows.push(row);
+        else groups.push({ key, rows: [row] });
+      });
+      return {
+        rows: groups
+          .slice(skip, skip + limit)
+          .map(({ key, rows }) => ({ key, value: this._reduce(view, rows) })),
+      };
+    }
+
+    const first = rows.length ? ordered.indexOf(rows[0]) : ordered.length;
+    return {
+      total_rows: all.length,
+      offset: first + skip,
+      rows: rows.slice(skip, skip + limit).map(row => {
+        if (!opts.include_docs) return row;
+        // emitting { _id } as the value includes that document instead
+        const id =
+          row.value && typeof row.value._id === 'string'
+            ? row.value._id
+            : row.id;
+        const entry = this._live(id);
+        return { ...row, doc: entry ? this._doc(id, entry) : null };
+      }),
+    };
+  }
+
+  async view(ddoc, viewName, opts) {
+    return this._query(undefined, ddoc, viewName, opts);
+  }
+
+  async partitionedView(partition, ddoc, viewName, opts) {
+    return this._query(partition, ddoc, viewName, opts);
+  }
+
+  //
+  // mango - indexes are recorded (in design documents, like couchdb) but
+  // every _find simply scans the documents
+  //
+  async createIndex({ index, ddoc, name, partitioned } = {}) {
+    if (!index || !Array.isArray(index.fields) || !index.fields.length) {
+      throw couchError(400, 'bad_request', 'Missing required key: fields');
+    }
+    const def = {
+      ...index,
+      fields: index.fields.map(f =>
+        typeof f === 'string' ? { [f]: 'asc' } : f
+      ),
+    };
+    const hash = crypto
+      .createHash('md5')
+      .update(JSON.stringify(def))
+      .digest('hex');
+    name = name || hash;
+    const id = `_design/${ddoc || hash}`;
+    const entry = this._live(id);
+    const existing = entry && entry.body.views && entry.body.views[name];
+    if (
+      existing &&
+      JSON.stringify(existing.options.def) === JSON.stringify(def)
+    ) {
+      return { result: 'exists', id, name };
+    }
+    const body = entry ? clone(entry.body) : { language: 'query', views: {} };
+    body.views[name] = { map: { fields: def.fields }, options: { def } };
+    if (partitioned !== undefined) body.options = { partitioned };
+    this._write({ ...body, _id: id, _rev: entry ? entry.rev : undefined });
+    return { result: 'created', id, name };
+  }
+
+  async _find(partition, query = {}) {
+    const { selector, fields, sort = [], limit = 25, skip = 0 } = query;
+    if (!selector || typeof selector !== 'object') {
+      throw couchError(400, 'bad_request', 'Missing required key: selector');
+    }
+    // documents are ordered by the sort fields then _id, a bookmark holds
+    // those fields of the last document returned
+    const keys = sort
+      .map(rule => (typeof rule === 'string' ? rule : Object.keys(rule)[0]))
+      .concat('_id');
+    const byId = (a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0);
+    const compare = (a, b) => sorter(sort)(a, b) || byId(a, b);
+    let after = null;
+    if (query.bookmark && query.bookmark !== 'nil') {
+      try {
+        after = JSON.parse(Buffer.from(query.bookmark, 'base64').toString());
+      } catch (err) {
+        throw couchError(400, 'invalid_bookmark', 'Invalid bookmark value');
+      }
+    }
+    const found = [];
+    for (const [id, entry] of this.docs) {
+      if (entry.deleted || isSpecial(id)) continue;
+      if (partition !== undefined && !id.startsWith(`${partition}:`)) continue;
+      const doc = this._doc(id, entry);
+      try {
+        if (matches(doc, selector) && (!after || compare(doc, after) > 0)) {
+          found.push(doc);
+        }
+      } catch (err) {
+        throw couchError(400, 'invalid_operator', err.message);
+      }
+    }
+    const docs = found.sort(compare).slice(skip, skip + limit);
+    const last = docs[docs.length - 1];
+    return {
+      docs: docs.map(doc => project(doc, fields)),
+      bookmark: last
+        ? Buffer.from(JSON.stringify(project(last, keys))).toString('base64')
+        : query.bookmark || 'nil',
+    };
+  }
+
+  async find(query) {
+    return this._find(undefined, query);
+  }
+
+  async partitionedFind(partition, query) {
+    return this._find(partition, query);
+  }
+
+  //
+  // replication - copies newer revisions into another MemoryDB
+  //
+  async replicate(target) {
+    if (!(target instanceof MemoryDB)) {
+      throw couchError(400, 'bad_request', 'target must be a MemoryDB');
+    }
+    let written = 0;
+    for (const [id, entry] of this.docs) {
+      const existing = target.docs.get(id);
+      if (!existing || revNumber(existing.rev) < revNumber(entry.rev)) {
+        target.docs.set(id, {
+          ...entry,
+          body: clone(entry.body),
+          seq: ++target.seq,
+        });
+        written++;
+      }
+    }
+    if (written) target._changed();
+    return { ok: true, docs_written: written };
+  }
+}
+
+module.exports = MemoryDB;
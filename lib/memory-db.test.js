@@ -0,0 +1,458 @@
+const MemoryDB = require('./memory-db');
+
+describe('memory-db', () => {
+  const views = {
+    _id: '_design/ITEM',
+    options: { partitioned: true },
+    views: {
+      'by-name': {
+        reduce: '_count',
+        map: ({ name }) => name && emit([name], 1),
+      },
+      'by-group': {
+        reduce: '_sum',
+        map: ({ group, qty }) => group && emit([group, qty], qty),
+      },
+      'stats-by-group': {
+        reduce: '_stats',
+        map: ({ group, qty }) => group && emit([group], qty),
+      },
+      'custom-reduce': {
+        reduce: (keys, values) => values.join(','),
+        map: ({ name }) => name && emit(name, name),
+      },
+      'map-only': {
+        map: ({ name }) => name && emit(name, { _id: 'ITEM:linked' }),
+      },
+    },
+  };
+
+  const items = [
+    { _id: 'ITEM:a', name: 'apple', group: 'fruit', qty: 3 },
+    { _id: 'ITEM:b', name: 'Banana', group: 'fruit', qty: 5 },
+    { _id: 'ITEM:c', name: 'carrot', group: 'veg', qty: 2 },
+    { _id: 'ITEM:linked', name: 'linked' },
+    { _id: 'OTHER:x', name: 'other', group: 'fruit', qty: 100 },
+  ];
+
+  const seeded = async () => {
+    const db = new MemoryDB();
+    await db.insert(views);
+    for (const item of items) await db.insert(item);
+    return db;
+  };
+
+  describe('documents', () => {
+    it('generates revisions', async () => {
+      const db = new MemoryDB();
+      const res = await db.insert({ _id: 'ITEM:1', value: 1 });
+      expect(res.ok).toBe(true);
+      expect(res.rev).toMatch(/^1-[0-9a-f]{32}$/);
+      const doc = await db.get('ITEM:1');
+      expect(doc).toEqual({ _id: 'ITEM:1', _rev: res.rev, value: 1 });
+      const res2 = await db.insert({ ...doc, value: 2 });
+      expect(res2.rev).toMatch(/^2-/);
+    });
+
+    it('detects conflicts', async () => {
+      const db = new MemoryDB();
+      const res = await db.insert({ _id: 'ITEM:1' });
+      await expect(db.insert({ _id: 'ITEM:1' })).rejects.toMatchObject({
+        statusCode: 409,
+        error: 'conflict',
+      });
+      await expect(
+        db.insert({ _id: 'ITEM:1', _rev: '1-stale' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      await expect(
+        db.insert({ _id: 'ITEM:2', _rev: res.rev })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('returns 404 for missing and deleted documents', async () => {
+      const db = new MemoryDB();
+      await expect(db.get('ITEM:1')).rejects.toMatchObject({
+        statusCode: 404,
+        reason: 'missing',
+      });
+      const res = await db.insert({ _id: 'ITEM:1' });
+      const del = await db.destroy('ITEM:1', res.rev);
+      expect(del.rev).toMatch(/^2-/);
+      await expect(db.get('ITEM:1')).rejects.toMatchObject({
+        statusCode: 404,
+        reason: 'deleted',
+      });
+      await expect(db.destroy('ITEM:1', del.rev)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+
+    it('recreates deleted documents', async () => {
+      const db = new MemoryDB();
+      const res = await db.insert({ _id: 'ITEM:1' });
+      await db.destroy('ITEM:1', res.rev);
+      const res2 = await db.insert({ _id: 'ITEM:1' });
+      expect(res2.rev).toMatch(/^3-/);
+    });
+
+    it('requires partitioned document ids', async () => {
+      const db = new MemoryDB();
+      await expect(db.insert({ _id: 'no-partition' })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      const unpartitioned = new MemoryDB({ partitioned: false });
+      const res = await unpartitioned.insert({ _id: 'no-partition' });
+      expect(res.ok).toBe(true);
+    });
+
+    it('stores copies of documents', async () => {
+      const db = new MemoryDB();
+      const doc = { _id: 'ITEM:1', tags: ['a'] };
+      await db.insert(doc);
+      doc.tags.push('b');
+      const stored = await db.get('ITEM:1');
+      expect(stored.tags).toEqual(['a']);
+    });
+  });
+
+  describe('bulk()', () => {
+    it('writes each document, reporting failures per document', async () => {
+      const db = new MemoryDB();
+      const { rev } = await db.insert({ _id: 'ITEM:2' });
+      const res = await db.bulk({
+        docs: [
+          { _id: 'ITEM:1' },
+          { _id: 'ITEM:2' },
+          { _id: 'ITEM:2', _rev: rev, _deleted: true },
+          { _id: 'no-partition' },
+        ],
+      });
+      expect(res[0]).toMatchObject({ ok: true, id: 'ITEM:1' });
+      expect(res[1]).toEqual({
+        id: 'ITEM:2',
+        error: 'conflict',
+        reason: 'Document update conflict.',
+      });
+      expect(res[2]).toMatchObject({ ok: true, id: 'ITEM:2' });
+      expect(res[3].error).toBe('illegal_docid');
+      await expect(db.get('ITEM:2')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('partitionedView()', () => {
+    it('maps documents within a partition', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'by-name', {
+        reduce: false,
+      });
+      expect(res.total_rows).toBe(4);
+      expect(res.rows.map(row => row.id)).toEqual([
+        'ITEM:a',
+        'ITEM:b',
+        'ITEM:c',
+        'ITEM:linked',
+      ]);
+    });
+
+    it('includes documents', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'by-name', {
+        reduce: false,
+        include_docs: true,
+        key: ['carrot'],
+      });
+      expect(res.rows.length).toBe(1);
+      expect(res.rows[0].doc.qty).toBe(2);
+      expect(res.rows[0].doc._rev).toMatch(/^1-/);
+    });
+
+    it('includes linked documents', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'map-only', {
+        include_docs: true,
+        limit: 1,
+      });
+      expect(res.rows[0].id).toBe('ITEM:a');
+      expect(res.rows[0].doc._id).toBe('ITEM:linked');
+    });
+
+    it('supports key ranges, descending, skip and limit', async () => {
+      const db = await seeded();
+      const query = opts =>
+        db
+          .partitionedView('ITEM', 'ITEM', 'by-name', {
+            reduce: false,
+            ...opts,
+          })
+          .then(res => res.rows.map(row => row.key[0]));
+      expect(await query({ startkey: ['b'], endkey: ['c\ufff0'] })).toEqual([
+        'Banana',
+        'carrot',
+      ]);
+      expect(
+        await query({
+          startkey: ['b'],
+          endkey: ['carrot'],
+          inclusive_end: false,
+        })
+      ).toEqual(['Banana']);
+      expect(await query({ descending: true, limit: 2 })).toEqual([
+        'linked',
+        'carrot',
+      ]);
+      expect(await query({ skip: 1, limit: 1 })).toEqual(['Banana']);
+      expect(await query({ keys: [['carrot'], ['apple']] })).toEqual([
+        'carrot',
+        'apple',
+      ]);
+      expect(
+        await query({ startkey: ['apple'], startkey_docid: 'ITEM:b' })
+      ).toEqual(['Banana', 'carrot', 'linked']);
+    });
+
+    it('reduces with _count', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'by-name', {});
+      expect(res.rows).toEqual([{ key: null, value: 4 }]);
+      const none = await db.partitionedView('ITEM', 'ITEM', 'by-name', {
+        key: ['nothing'],
+      });
+      expect(none.rows).toEqual([]);
+    });
+
+    it('reduces with _sum and group_level', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'by-group', {
+        group_level: 1,
+      });
+      expect(res.rows).toEqual([
+        { key: ['fruit'], value: 8 },
+        { key: ['veg'], value: 2 },
+      ]);
+    });
+
+    it('reduces with _stats', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'stats-by-group', {
+        group: true,
+      });
+      expect(res.rows[0]).toEqual({
+        key: ['fruit'],
+        value: { sum: 8, count: 2, min: 3, max: 5, sumsqr: 34 },
+      });
+    });
+
+    it('reduces with a custom reduce function', async () => {
+      const db = await seeded();
+      const res = await db.partitionedView('ITEM', 'ITEM', 'custom-reduce', {});
+      expect(res.rows[0].value).toBe('apple,Banana,carrot,linked');
+    });
+
+    it('fails for missing views and bad reduce options', async () => {
+      const db = await seeded();
+      await expect(
+        db.partitionedView('ITEM', 'ITEM', 'no-such-view', {})
+      ).rejects.toMatchObject({ statusCode: 404 });
+      await expect(
+        db.partitionedView('ITEM', 'NOPE', 'by-name', {})
+      ).rejects.toMatchObject({ statusCode: 404 });
+      await expect(
+        db.partitionedView('ITEM', 'ITEM', 'map-only', { reduce: true })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        db.partitionedView('ITEM', 'ITEM', 'by-name', { include_docs: true })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('ignores deleted documents', async () => {
+      const db = await seeded();
+      const doc = await db.get('ITEM:a');
+      await db.destroy(doc._id, doc._rev);
+      const res = await db.partitionedView('ITEM', 'ITEM', 'by-name', {});
+      expect(res.rows[0].value).toBe(3);
+    });
+  });
+
+  describe('list() and fetch()', () => {
+    it('lists documents in _id order', async () => {
+      const db = await seeded();
+      const res = await db.list({ startkey: 'ITEM:', endkey: 'ITEM:\ufff0' });
+      expect(res.rows.map(row => row.id)).toEqual([
+        'ITEM:a',
+        'ITEM:b',
+        'ITEM:c',
+        'ITEM:linked',
+      ]);
+      expect(res.rows[0].value.rev).toMatch(/^1-/);
+    });
+
+    it('lists a partition', async () => {
+      const db = await seeded();
+      const res = await db.partitionedList('OTHER', { include_docs: true });
+      expect(res.rows.map(row => row.doc.name)).toEqual(['other']);
+    });
+
+    it('fetches documents by id', async () => {
+      const db = await seeded();
+      const doc = await db.get('ITEM:b');
+      await db.destroy(doc._id, doc._rev);
+      const res = await db.fetch({ keys: ['ITEM:a', 'ITEM:b', 'ITEM:none'] });
+      expect(res.rows[0].doc.name).toBe('apple');
+      expect(res.rows[1].value.deleted).toBe(true);
+      expect(res.rows[1].doc).toBe(null);
+      expect(res.rows[2]).toEqual({ key: 'ITEM:none', error: 'not_found' });
+    });
+  });
+
+  describe('attachments', () => {
+    const inline = text => ({
+      content_type: 'text/plain',
+      data: Buffer.from(text).toString('base64'),
+    });
+
+    it('stores inline attachments and returns stubs', async () => {
+      const db = new MemoryDB();
+      const { rev } = await db.insert({
+        _id: 'ITEM:a',
+        _attachments: { 'a.txt': inline('hello') },
+      });
+      const doc = await db.get('ITEM:a');
+      expect(doc._attachments['a.txt']).toEqual({
+        content_type: 'text/plain',
+        digest: expect.stringMatching(/^md5-/),
+        length: 5,
+        revpos: 1,
+        stub: true,
+      });
+      expect((await db.attachment.get('ITEM:a', 'a.txt')).toString()).toBe(
+        'hello'
+      );
+
+      await db.insert({
+        _id: 'ITEM:a',
+        _rev: rev,
+        _attachments: { ...doc._attachments, 'b.txt': inline('world') },
+      });
+      const updated = await db.get('ITEM:a');
+      expect(Object.keys(updated._attachments)).toEqual(['a.txt', 'b.txt']);
+      expect(updated._attachments['b.txt'].revpos).toBe(2);
+
+      await db.insert({ ...updated, _attachments: {} });
+      await expect(db.attachment.get('ITEM:a', 'a.txt')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+
+    it('refuses stubs of missing attachments', async () => {
+      const db = new MemoryDB();
+      await expect(
+        db.insert({ _id: 'ITEM:a', _attachments: { 'a.txt': { stub: true } } })
+      ).rejects.toMatchObject({ statusCode: 412, error: 'missing_stub' });
+    });
+
+    it('streams attachments', async () => {
+      const db = new MemoryDB();
+      await db.insert({
+        _id: 'ITEM:a',
+        _attachments: { 'a.txt': inline('hi') },
+      });
+      const chunks = [];
+      for await (const chunk of db.attachment.getAsStream('ITEM:a', 'a.txt')) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('hi');
+      const missing = db.attachment.getAsStream('ITEM:a', 'b.txt');
+      await expect(
+        new Promise((resolve, reject) => missing.on('error', reject))
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('partitionInfo()', () => {
+    it('counts the documents in a partition', async () => {
+      const db = await seeded();
+      const doc = await db.get('ITEM:b');
+      await db.destroy(doc._id, doc._rev);
+      const info = await db.partitionInfo('ITEM');
+      expect(info.partition).toBe('ITEM');
+      expect(info.doc_count).toBe(3);
+      expect(info.doc_del_count).toBe(1);
+    });
+  });
+
+  describe('changes()', () => {
+    it('lists the latest change of each document in order', async () => {
+      const db = await seeded();
+      const { update_seq } = await db.info();
+      const doc = await db.get('ITEM:a');
+      await db.insert({ _id: 'ITEM:new' });
+      await db.destroy(doc._id, doc._rev);
+      const res = await db.changes({ since: update_seq, include_docs: true });
+      expect(res.results.map(({ id, deleted }) => [id, !!deleted])).toEqual([
+        ['ITEM:new', false],
+        ['ITEM:a', true],
+      ]);
+      expect(res.results[1].doc).toMatchObject({
+        _id: 'ITEM:a',
+        _deleted: true,
+      });
+      expect(res.last_seq).toBe(update_seq + 2);
+      const limited = await db.changes({ since: 0, limit: 2 });
+      expect(limited.results.length).toBe(2);
+      expect(limited.pending).toBe(items.length);
+    });
+
+    it('filters by a POSTed selector', async () => {
+      const db = await seeded();
+      const { update_seq } = await db.info();
+      await db.insert({ _id: 'OTHER:filtered' });
+      const doc = await db.get('ITEM:a');
+      await db.destroy(doc._id, doc._rev);
+      const res = await db.server.request({
+        db: db.config.db,
+        path: '_changes',
+        method: 'POST',
+        qs: { since: update_seq, filter: '_selector' },
+        body: { selector: { _id: { $regex: '^ITEM:' } } },
+      });
+      expect(res.results.map(({ id }) => id)).toEqual(['ITEM:a']);
+      expect(res.last_seq).toBe(update_seq + 2);
+      await expect(
+        db.changes({ since: 0, filter: '_selector' })
+      ).rejects.toThrow('Selector must be specified');
+      await expect(
+        db.server.request({ db: db.config.db, path: '_all_docs' })
+      ).rejects.toThrow('unsupported request');
+    });
+
+    it('waits for a change in longpoll mode', async () => {
+      const db = await seeded();
+      const waiting = db.changes({ since: 'now', feed: 'longpoll' });
+      await db.insert({ _id: 'ITEM:later' });
+      const res = await waiting;
+      expect(res.results.map(({ id }) => id)).toEqual(['ITEM:later']);
+      const empty = await db.changes({
+        since: res.last_seq,
+        feed: 'longpoll',
+        timeout: 10,
+      });
+      expect(empty).toMatchObject({ results: [], last_seq: res.last_seq });
+    });
+  });
+
+  describe('replicate()', () => {
+    it('copies documents to another memory db', async () => {
+      const source = await seeded();
+      const target = new MemoryDB();
+      const res = await source.replicate(target);
+      expect(res.ok).toBe(true);
+      expect(res.docs_written).toBe(items.length + 1);
+      const doc = await target.get('ITEM:a');
+      expect(doc._rev).toBe((await source.get('ITEM:a'))._rev);
+      const again = await source.replicate(target);
+      expect(again.docs_written).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+//
+// ndjson.js - newline delimited json, one document per line
+//
+const { StringDecoder } = require('string_decoder');
+
+//
+// lines() - the non-blank lines of a stream, or of any (async) iterable of
+// strings or buffers, as { line, text } with 1-based line numbers
+//
+async function* lines(input) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let line = 0;
+  for await (const chunk of input) {
+    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const parts = pending.split('\n');
+    pending = parts.pop();
+    for (const text of parts) {
+      line++;
+      if (text.trim()) yield { line, text };
+    }
+  }
+  pending += decoder.end();
+  line++;
+  if (pending.trim()) yield { line, text: pending };
+}
+
+//
+// stringify() - a document as a line
+//
+const stringify = doc => `${JSON.stringify(doc)}\n`;
+
+module.exports = {
+  lines,
+  stringify,
+};
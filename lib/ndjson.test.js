@@ -0,0 +1,31 @@
+const { Readable } = require('stream');
+const { lines, stringify } = require('./ndjson');
+
+const collect = async iterable => {
+  const found = [];
+  for await (const item of iterable) found.push(item);
+  return found;
+};
+
+describe('ndjson', () => {
+  it('splits chunks into numbered lines', async () => {
+    const input = ['{"a":1}\n{"b"', ':2}\n\n  \n{"c":3}'];
+    expect(await collect(lines(input))).toEqual([
+      { line: 1, text: '{"a":1}' },
+      { line: 2, text: '{"b":2}' },
+      { line: 5, text: '{"c":3}' },
+    ]);
+  });
+
+  it('reads streams of buffers', async () => {
+    const bytes = Buffer.from('{"name":"été"}\r\n');
+    const input = Readable.from([bytes.slice(0, 10), bytes.slice(10)]);
+    const found = await collect(lines(input));
+    expect(found).toHaveLength(1);
+    expect(JSON.parse(found[0].text)).toEqual({ name: 'été' });
+  });
+
+  it('stringifies documents as lines', () => {
+    expect(stringify({ _id: 'A:1' })).toBe('{"_id":"A:1"}\n');
+  });
+});
@@ -0,0 +1,59 @@
+//
+// partitions.js - partition strategies, where a dao's documents live and
+// what their _ids look like
+//
+// A strategy maps a dao's type, and the key the dao is bound to with
+// dao.forPartition(key) when the strategy is keyed, to
+//
+//   partition(type, key) - the partition the documents are in
+//   prefix(type, key) - what their _ids start with, the id retrieve(id)
+//     and friends take is the rest
+//   pattern(type) - a regexp (source) matching the _ids of every document
+//     of the type, whatever the key
+//   guard(type) - for partitions shared by several types, a condition on
+//     doc for the views to skip the documents of other types
+//
+// byType (the default) - a partition per type, `${type}:${id}`
+// byTenant - a partition per tenant, shared by all types,
+//   `${tenant}:${type}.${id}`
+//
+
+// text as a literal in a regular expression
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const byType = {
+  keyed: false,
+  partition: type => type,
+  prefix: type => `${type}:`,
+  pattern: type => `^${escape(type)}:`,
+};
+
+const byTenant = {
+  keyed: true,
+  partition: (type, tenant) => tenant,
+  prefix: (type, tenant) => `${tenant}:${type}.`,
+  pattern: type => `^[^:]+:${escape(type)}\\.`,
+  guard: type =>
+    `doc._id.substr(doc._id.indexOf(':') + 1, ${type.length + 1}) === ` +
+    JSON.stringify(`${type}.`),
+};
+
+// is strategy something the dao can use
+const isStrategy = strategy =>
+  !!strategy &&
+  typeof strategy.keyed === 'boolean' &&
+  ['partition', 'prefix', 'pattern'].every(
+    name => typeof strategy[name] === 'function'
+  ) &&
+  (strategy.guard === undefined || typeof strategy.guard === 'function');
+
+// the partition of a document _id
+const partitionOf = _id => _id.slice(0, _id.indexOf(':'));
+
+module.exports = {
+  byType,
+  byTenant,
+  isStrategy,
+  partitionOf,
+  escape,
+};
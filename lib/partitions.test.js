@@ -0,0 +1,39 @@
+const { byType, byTenant, isStrategy, partitionOf } = require('./partitions');
+
+describe('partitions', () => {
+  it('partitions by type', () => {
+    expect(byType.partition('WIDGET')).toBe('WIDGET');
+    expect(byType.prefix('WIDGET')).toBe('WIDGET:');
+    const pattern = new RegExp(byType.pattern('WIDGET'));
+    expect(pattern.test('WIDGET:1')).toBe(true);
+    expect(pattern.test('GADGET:1')).toBe(false);
+  });
+
+  it('partitions by tenant', () => {
+    expect(byTenant.partition('WIDGET', 'acme')).toBe('acme');
+    expect(byTenant.prefix('WIDGET', 'acme')).toBe('acme:WIDGET.');
+    const pattern = new RegExp(byTenant.pattern('WIDGET'));
+    expect(pattern.test('acme:WIDGET.1')).toBe(true);
+    expect(pattern.test('acme:WIDGETS.1')).toBe(false);
+    expect(pattern.test('acme:GADGET.WIDGET.1')).toBe(false);
+  });
+
+  it('guards views of shared partitions', () => {
+    const guard = new Function('doc', `return ${byTenant.guard('WIDGET')};`);
+    expect(guard({ _id: 'acme:WIDGET.1' })).toBe(true);
+    expect(guard({ _id: 'acme:GADGET.1' })).toBe(false);
+    expect(guard({ _id: 'acme:WIDGETS.1' })).toBe(false);
+  });
+
+  it('recognizes strategies', () => {
+    expect(isStrategy(byType)).toBe(true);
+    expect(isStrategy(byTenant)).toBe(true);
+    expect(isStrategy({ ...byType, keyed: undefined })).toBe(false);
+    expect(isStrategy({ ...byTenant, guard: 'x' })).toBe(false);
+    expect(isStrategy(null)).toBe(false);
+  });
+
+  it('finds the partition of an _id', () => {
+    expect(partitionOf('acme:WIDGET.a:b')).toBe('acme');
+  });
+});
@@ -0,0 +1,180 @@
+//
+// patch.js - apply RFC 7396 merge patches and RFC 6902 JSON Patches to
+// documents, both return a patched copy and leave the document alone
+//
+const { BadArgumentError, ConflictError } = require('./errors');
+
+const isObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// patches that can't be applied are the caller's fault
+const check = (condition, message) => {
+  if (!condition) throw new BadArgumentError(message);
+};
+
+const clone = value =>
+  value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+// deep equality of json values, key order aside
+const equal = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return (
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => equal(item, b[i]))
+    );
+  }
+  if (!isObject(a) || !isObject(b)) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      key =>
+        Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key])
+    )
+  );
+};
+
+//
+// mergePatch() - RFC 7396, objects are merged key by key, null removes a
+// key and anything else (arrays included) replaces what was there
+//
+const mergePatch = (target, patch) => {
+  if (!isObject(patch)) return clone(patch);
+  const result = isObject(target) ? { ...target } : {};
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null) delete result[key];
+    else result[key] = mergePatch(result[key], patch[key]);
+  });
+  return result;
+};
+
+// '/a/b~1c' => ['a', 'b/c']
+const tokens = pointer => {
+  check(
+    typeof pointer === 'string' && (pointer === '' || pointer[0] === '/'),
+    `bad json pointer: ${pointer}`
+  );
+  if (pointer === '') return [];
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// the index an array token stands for, end is allowed for '-' and adds
+const index = (array, token, path, end) => {
+  if (end && token === '-') return array.length;
+  check(/^(0|[1-9]\d*)$/.test(token), `bad array index: ${path}`);
+  const i = Number(token);
+  check(i < array.length + (end ? 1 : 0), `path not found: ${path}`);
+  return i;
+};
+
+//
+// the operations work on a holder, { '': doc }, so that the whole document
+// is just another member: parentOf() returns the container of the value a
+// path points to and the key (or index token) of the value within it
+//
+const parentOf = (holder, path) => {
+  const keys = ['', ...tokens(path)];
+  let parent = holder;
+  for (const key of keys.slice(0, -1)) {
+    const child = Array.isArray(parent)
+      ? parent[index(parent, key, path)]
+      : isObject(parent) && Object.prototype.hasOwnProperty.call(parent, key)
+        ? parent[key]
+        : undefined;
+    check(
+      child !== null && typeof child === 'object',
+      `path not found: ${path}`
+    );
+    parent = child;
+  }
+  return [parent, keys[keys.length - 1]];
+};
+
+const get = (holder, path) => {
+  const [parent, key] = parentOf(holder, path);
+  if (Array.isArray(parent)) return parent[index(parent, key, path)];
+  check(
+    Object.prototype.hasOwnProperty.call(parent, key),
+    `path not found: ${path}`
+  );
+  return parent[key];
+};
+
+const add = (holder, path, value) => {
+  const [parent, key] = parentOf(holder, path);
+  if (Array.isArray(parent)) {
+    parent.splice(index(parent, key, path, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+};
+
+const remove = (holder, path) => {
+  get(holder, path); // it has to be there
+  const [parent, key] = parentOf(holder, path);
+  if (Array.isArray(parent)) parent.splice(index(parent, key, path), 1);
+  else delete parent[key];
+};
+
+const operations = {
+  add: (holder, { path, value }) => add(holder, path, clone(value)),
+  remove: (holder, { path }) => remove(holder, path),
+  replace: (holder, { path, value }) => {
+    remove(holder, path);
+    add(holder, path, clone(value));
+  },
+  move: (holder, { from, path }) => {
+    check(!path.startsWith(`${from}/`), `cannot move ${from} into itself`);
+    const value = get(holder, from);
+    remove(holder, from);
+    add(holder, path, value);
+  },
+  copy: (holder, { from, path }) => add(holder, path, clone(get(holder, from))),
+  test: (holder, { path, value }) => {
+    if (!equal(get(holder, path), value)) {
+      throw new ConflictError(`patch test failed: ${path}`);
+    }
+  },
+};
+
+// the members each operation needs besides op and path
+const members = {
+  add: ['value'],
+  remove: [],
+  replace: ['value'],
+  move: ['from'],
+  copy: ['from'],
+  test: ['value'],
+};
+
+// is op a well formed JSON Patch operation
+const isOperation = op =>
+  isObject(op) &&
+  Object.prototype.hasOwnProperty.call(operations, op.op) &&
+  typeof op.path === 'string' &&
+  members[op.op].every(name => op[name] !== undefined) &&
+  (op.from === undefined || typeof op.from === 'string');
+
+//
+// applyPatch() - RFC 6902, the operations are applied in order and the
+// whole patch fails if one does: a BadArgumentError for bad operations and
+// paths that aren't there, a ConflictError for a failed test
+//
+const applyPatch = (doc, ops) => {
+  check(Array.isArray(ops), 'bad patch');
+  ops.forEach((op, i) => check(isOperation(op), `bad patch operation: ${i}`));
+  const holder = { '': clone(doc) };
+  ops.forEach(op => operations[op.op](holder, op));
+  return holder[''];
+};
+
+module.exports = {
+  mergePatch,
+  applyPatch,
+  isOperation,
+};
@@ -0,0 +1,110 @@
+const { mergePatch, applyPatch, isOperation } = require('./patch');
+const { BadArgumentError, ConflictError } = require('./errors');
+
+describe('patch', () => {
+  describe('mergePatch()', () => {
+    it('merges, replaces and removes members', () => {
+      const doc = { a: 'b', c: { d: 'e', f: 'g' }, list: [1, 2] };
+      const patched = mergePatch(doc, {
+        a: 'z',
+        c: { f: null, h: 'i' },
+        list: [3],
+      });
+      expect(patched).toEqual({ a: 'z', c: { d: 'e', h: 'i' }, list: [3] });
+      expect(doc).toEqual({ a: 'b', c: { d: 'e', f: 'g' }, list: [1, 2] });
+    });
+
+    it('follows the examples of RFC 7396', () => {
+      expect(mergePatch({ a: 'b' }, { a: 'c' })).toEqual({ a: 'c' });
+      expect(mergePatch({ a: 'b' }, { b: 'c' })).toEqual({ a: 'b', b: 'c' });
+      expect(mergePatch({ a: 'b' }, { a: null })).toEqual({});
+      expect(mergePatch({ a: ['b'] }, { a: 'c' })).toEqual({ a: 'c' });
+      expect(mergePatch({ a: 'c' }, { a: ['b'] })).toEqual({ a: ['b'] });
+      expect(mergePatch({ a: { b: 'c' } }, { a: { b: 'd', c: null } })).toEqual(
+        { a: { b: 'd' } }
+      );
+      expect(mergePatch({ e: null }, { a: 1 })).toEqual({ e: null, a: 1 });
+      expect(mergePatch({}, { a: { bb: { ccc: null } } })).toEqual({
+        a: { bb: {} },
+      });
+      expect(mergePatch({ a: 'foo' }, 'bar')).toBe('bar');
+    });
+  });
+
+  describe('applyPatch()', () => {
+    const doc = { a: { b: 'c' }, list: ['x', 'y'], 'k/~': 1 };
+
+    it('applies operations in order to a copy', () => {
+      const patched = applyPatch(doc, [
+        { op: 'add', path: '/a/d', value: ['e'] },
+        { op: 'add', path: '/list/1', value: 'w' },
+        { op: 'add', path: '/list/-', value: 'z' },
+        { op: 'remove', path: '/list/0' },
+        { op: 'replace', path: '/a/b', value: 'C' },
+        { op: 'move', from: '/a/d', path: '/d' },
+        { op: 'copy', from: '/d', path: '/a/d' },
+        { op: 'test', path: '/k~1~0', value: 1 },
+        { op: 'test', path: '/a', value: { d: ['e'], b: 'C' } },
+      ]);
+      expect(patched).toEqual({
+        a: { b: 'C', d: ['e'] },
+        d: ['e'],
+        list: ['w', 'y', 'z'],
+        'k/~': 1,
+      });
+      expect(doc).toEqual({ a: { b: 'c' }, list: ['x', 'y'], 'k/~': 1 });
+    });
+
+    it('replaces the whole document', () => {
+      expect(applyPatch(doc, [{ op: 'replace', path: '', value: {} }])).toEqual(
+        {}
+      );
+    });
+
+    it('fails a failed test with a ConflictError', () => {
+      expect(() =>
+        applyPatch(doc, [{ op: 'test', path: '/a/b', value: 'x' }])
+      ).toThrow(ConflictError);
+      expect(() =>
+        applyPatch(doc, [{ op: 'test', path: '/list', value: ['y', 'x'] }])
+      ).toThrow('patch test failed: /list');
+    });
+
+    it('refuses bad operations and missing paths', () => {
+      const bad = ops => () => applyPatch(doc, ops);
+      expect(bad({})).toThrow('bad patch');
+      expect(bad([{ op: 'add', path: '/x' }])).toThrow(
+        'bad patch operation: 0'
+      );
+      expect(bad([{ op: 'remove', path: '/nope' }])).toThrow(
+        'path not found: /nope'
+      );
+      expect(bad([{ op: 'add', path: '/nope/x', value: 1 }])).toThrow(
+        BadArgumentError
+      );
+      expect(bad([{ op: 'add', path: '/list/3', value: 1 }])).toThrow(
+        'path not found: /list/3'
+      );
+      expect(bad([{ op: 'replace', path: '/list/01', value: 1 }])).toThrow(
+        'bad array index: /list/01'
+      );
+      expect(bad([{ op: 'add', path: 'a', value: 1 }])).toThrow(
+        'bad json pointer: a'
+      );
+      expect(bad([{ op: 'move', from: '/a', path: '/a/b' }])).toThrow(
+        'cannot move /a into itself'
+      );
+    });
+  });
+
+  describe('isOperation()', () => {
+    it('checks the members of each operation', () => {
+      expect(isOperation({ op: 'remove', path: '/a' })).toBe(true);
+      expect(isOperation({ op: 'test', path: '/a', value: null })).toBe(true);
+      expect(isOperation({ op: 'copy', path: '/a' })).toBe(false);
+      expect(isOperation({ op: 'merge', path: '/a' })).toBe(false);
+      expect(isOperation({ op: 'toString', path: '/a' })).toBe(false);
+      expect(isOperation(null)).toBe(false);
+    });
+  });
+});
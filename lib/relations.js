@@ -0,0 +1,50 @@
+//
+// relations.js - references between documents of different dao types
+//
+// A relation is declared under the name its documents are populated as:
+//
+//   { belongsTo: 'WIDGET', field: 'widgetId', check: true }
+//     doc[field] holds the (bare) id of a WIDGET document, or an array of
+//     them. With check, creates and updates fail for ids that don't exist.
+//
+//   { hasMany: 'LINE', view: 'by-order', onDelete: 'restrict' | 'cascade' }
+//     the LINE documents whose view emits this document's (bare) id as key.
+//     onDelete refuses to delete a document while it has any, or deletes
+//     them along with it.
+//
+
+const nonEmpty = value => typeof value === 'string' && !!value;
+
+const keysOf = {
+  belongsTo: ['belongsTo', 'field', 'check'],
+  hasMany: ['hasMany', 'view', 'onDelete'],
+};
+
+// is rel a relation declaration
+const isRelation = rel => {
+  if (rel === null || typeof rel !== 'object') return false;
+  const kind = Object.keys(keysOf).find(key => rel[key] !== undefined);
+  if (!kind || !Object.keys(rel).every(key => keysOf[kind].includes(key))) {
+    return false;
+  }
+  return kind === 'belongsTo'
+    ? nonEmpty(rel.belongsTo) &&
+        nonEmpty(rel.field) &&
+        (rel.check === undefined || typeof rel.check === 'boolean')
+    : nonEmpty(rel.hasMany) &&
+        nonEmpty(rel.view) &&
+        [undefined, 'restrict', 'cascade'].includes(rel.onDelete);
+};
+
+//
+// refs() - the ids a belongs-to field of doc holds
+//
+const refs = (doc, field) =>
+  [].concat(doc[field] === undefined ? [] : doc[field]).filter(
+    id => id !== null
+  );
+
+module.exports = {
+  isRelation,
+  refs,
+};
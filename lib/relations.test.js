@@ -0,0 +1,40 @@
+const { isRelation, refs } = require('./relations');
+
+describe('relations', () => {
+  describe('isRelation()', () => {
+    it('accepts belongs-to and has-many relations', () => {
+      expect(isRelation({ belongsTo: 'WIDGET', field: 'widgetId' })).toBe(true);
+      expect(
+        isRelation({ belongsTo: 'WIDGET', field: 'widgetId', check: true })
+      ).toBe(true);
+      expect(isRelation({ hasMany: 'LINE', view: 'by-order' })).toBe(true);
+      expect(
+        isRelation({ hasMany: 'LINE', view: 'by-order', onDelete: 'cascade' })
+      ).toBe(true);
+    });
+
+    it('refuses anything else', () => {
+      expect(isRelation(null)).toBe(false);
+      expect(isRelation('WIDGET')).toBe(false);
+      expect(isRelation({ belongsTo: 'WIDGET' })).toBe(false);
+      expect(isRelation({ belongsTo: 'WIDGET', view: 'by-order' })).toBe(
+        false
+      );
+      expect(
+        isRelation({ belongsTo: 'WIDGET', field: 'widgetId', onDelete: 'x' })
+      ).toBe(false);
+      expect(
+        isRelation({ hasMany: 'LINE', view: 'by-order', onDelete: 'nullify' })
+      ).toBe(false);
+    });
+  });
+
+  describe('refs()', () => {
+    it('lists the ids of a field', () => {
+      expect(refs({ widgetId: 'a' }, 'widgetId')).toEqual(['a']);
+      expect(refs({ widgetId: ['a', 'b'] }, 'widgetId')).toEqual(['a', 'b']);
+      expect(refs({ widgetId: null }, 'widgetId')).toEqual([]);
+      expect(refs({}, 'widgetId')).toEqual([]);
+    });
+  });
+});
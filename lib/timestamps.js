@@ -0,0 +1,47 @@
+//
+// timestamps.js - the formats a dao can stamp c_at, m_at and d_at in
+//
+//   seconds (the default) - epoch seconds, an integer
+//   milliseconds - epoch milliseconds, an integer
+//   iso - an ISO 8601 string in UTC, e.g. '2020-09-13T12:26:40.000Z'
+//
+// iso timestamps sort as strings, so mango range queries on them work.
+//
+
+const formats = {
+  seconds: {
+    format: ms => Math.floor(ms / 1000),
+    schema: { type: 'integer' },
+  },
+  milliseconds: {
+    format: ms => ms,
+    schema: { type: 'integer' },
+  },
+  iso: {
+    format: ms => new Date(ms).toISOString(),
+    schema: { type: 'string', format: 'date-time' },
+  },
+};
+
+const isFormat = name =>
+  typeof name === 'string' &&
+  Object.prototype.hasOwnProperty.call(formats, name);
+
+// a clock reading (epoch milliseconds) as a timestamp in a format
+const timestamp = (name, ms) => formats[name].format(ms);
+
+// the json schema of a timestamp in a format
+const schema = name => formats[name].schema;
+
+// is value a timestamp in a format
+const isTimestamp = (name, value) =>
+  name === 'iso'
+    ? typeof value === 'string' && !isNaN(Date.parse(value))
+    : Number.isInteger(value);
+
+module.exports = {
+  isFormat,
+  timestamp,
+  schema,
+  isTimestamp,
+};
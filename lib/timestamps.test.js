@@ -0,0 +1,27 @@
+const { isFormat, timestamp, schema, isTimestamp } = require('./timestamps');
+
+describe('timestamps', () => {
+  const ms = 1600000000123;
+
+  it('formats clock readings', () => {
+    expect(timestamp('seconds', ms)).toBe(1600000000);
+    expect(timestamp('milliseconds', ms)).toBe(ms);
+    expect(timestamp('iso', ms)).toBe('2020-09-13T12:26:40.123Z');
+  });
+
+  it('knows the formats and their schemas', () => {
+    expect(['seconds', 'milliseconds', 'iso'].every(isFormat)).toBe(true);
+    expect(isFormat('minutes')).toBe(false);
+    expect(isFormat('toString')).toBe(false);
+    expect(schema('seconds')).toEqual({ type: 'integer' });
+    expect(schema('iso')).toEqual({ type: 'string', format: 'date-time' });
+  });
+
+  it('recognizes timestamps', () => {
+    expect(isTimestamp('seconds', 1600000000)).toBe(true);
+    expect(isTimestamp('milliseconds', 1.5)).toBe(false);
+    expect(isTimestamp('iso', '2020-09-13T12:26:40.123Z')).toBe(true);
+    expect(isTimestamp('iso', 'yesterday')).toBe(false);
+    expect(isTimestamp('iso', 1600000000)).toBe(false);
+  });
+});
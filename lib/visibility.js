@@ -0,0 +1,59 @@
+//
+// visibility.js - who may see which fields of a document
+//
+// A rule lists the audiences a field is shown to (show) and/or hidden from
+// (hide). The audiences of a ctx ({ user, roles }) looking at a document are
+// 'anonymous' (no ctx.user) or 'user', 'owner' when ctx.user is the
+// document's c_by, and each of ctx.roles. Instead of a list, show/hide may be a
+// function (ctx, doc) => boolean.
+//
+
+const ruleKeys = ['show', 'hide', 'as'];
+
+// the audiences ctx belongs to for doc
+const audiences = (ctx, doc) => {
+  const user = ctx && ctx.user;
+  return [
+    user ? 'user' : 'anonymous',
+    ...(user && doc && user === doc.c_by ? ['owner'] : []),
+    ...((ctx && ctx.roles) || []),
+  ];
+};
+
+// does a show/hide list match ctx looking at doc
+const matches = (list, ctx, doc) =>
+  typeof list === 'function'
+    ? !!list(ctx, doc)
+    : list.some(audience => audiences(ctx, doc).includes(audience));
+
+//
+// visible() - may ctx see a field of doc with this rule, false hides it
+// from everyone
+//
+const visible = (rule, ctx, doc) => {
+  if (rule === false) return false;
+  if (rule.show && !matches(rule.show, ctx, doc)) return false;
+  if (rule.hide && matches(rule.hide, ctx, doc)) return false;
+  return true;
+};
+
+// is rule something visible() understands
+const isRule = rule =>
+  rule === false ||
+  (rule !== null &&
+    typeof rule === 'object' &&
+    Object.keys(rule).every(key => ruleKeys.includes(key)) &&
+    ['show', 'hide'].every(
+      key =>
+        rule[key] === undefined ||
+        Array.isArray(rule[key]) ||
+        typeof rule[key] === 'function'
+    ) &&
+    (rule.as === undefined || (typeof rule.as === 'string' && !!rule.as)));
+
+module.exports = {
+  audiences,
+  matches,
+  visible,
+  isRule,
+};
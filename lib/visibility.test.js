@@ -0,0 +1,47 @@
+const { audiences, visible, isRule } = require('./visibility');
+
+describe('visibility', () => {
+  const doc = { _id: 'WIDGET:1', c_by: 'alice' };
+
+  describe('audiences()', () => {
+    it('places a ctx', () => {
+      expect(audiences(undefined, doc)).toEqual(['anonymous']);
+      expect(audiences({ user: 'bob' }, doc)).toEqual(['user']);
+      expect(audiences({ user: 'alice', roles: ['ADMIN'] }, doc)).toEqual([
+        'user',
+        'owner',
+        'ADMIN',
+      ]);
+    });
+  });
+
+  describe('visible()', () => {
+    it('applies show and hide lists', () => {
+      const rule = { show: ['user'], hide: ['owner'] };
+      expect(visible(rule, null, doc)).toBe(false);
+      expect(visible(rule, { user: 'bob' }, doc)).toBe(true);
+      expect(visible(rule, { user: 'alice' }, doc)).toBe(false);
+    });
+
+    it('takes functions and false', () => {
+      const rule = { show: (ctx, doc) => doc.c_by.length > 3 };
+      expect(visible(rule, null, doc)).toBe(true);
+      expect(visible(false, { user: 'alice', roles: ['ADMIN'] }, doc)).toBe(
+        false
+      );
+      expect(visible({}, null, doc)).toBe(true);
+    });
+  });
+
+  describe('isRule()', () => {
+    it('recognises rules', () => {
+      expect(isRule(false)).toBe(true);
+      expect(isRule({ show: ['ADMIN'], as: 'x' })).toBe(true);
+      expect(isRule({ hide: () => true })).toBe(true);
+      expect(isRule(true)).toBe(false);
+      expect(isRule({ show: 'ADMIN' })).toBe(false);
+      expect(isRule({ rename: 'x' })).toBe(false);
+      expect(isRule({ as: '' })).toBe(false);
+    });
+  });
+});
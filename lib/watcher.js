@@ -0,0 +1,131 @@
+//
+// watcher.js - follow a db's _changes feed for the documents of one type
+//
+// Only the changes of documents whose _id starts with prefix are requested,
+// with a _selector filter. Emits the events named by classify(change)
+// ('created', 'updated', 'deleted'...) and 'change' for each of them, 'seq'
+// with the sequence to resume from after each batch, and 'error' (if anyone
+// listens) before each reconnect and for listeners that throw. Failed
+// requests are retried after backoff ms, doubling up to maxBackoff ms while
+// they keep failing.
+//
+const EventEmitter = require('events');
+const { fromCouch } = require('./errors');
+const { escape } = require('./partitions');
+
+class Watcher extends EventEmitter {
+  constructor(
+    db,
+    {
+      prefix,
+      classify,
+      since = 'now',
+      batchSize = 100,
+      timeout = 60000,
+      backoff = 1000,
+      maxBackoff = 30000,
+    }
+  ) {
+    super();
+    this.db = db;
+    this.prefix = prefix;
+    this.classify = classify;
+    this.since = since;
+    this.options = { batchSize, timeout, backoff, maxBackoff };
+    this.stopped = false;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  start() {
+    this.done = this._run();
+    return this;
+  }
+
+  // stop following the feed, a request in flight is left to finish but its
+  // changes are dropped
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  // report an error to the 'error' listeners, if there are any
+  _report(err) {
+    if (this.listenerCount('error')) this.emit('error', err);
+  }
+
+  // a listener that throws mustn't stop the feed
+  _safeEmit(name, event) {
+    try {
+      this.emit(name, event);
+    } catch (err) {
+      this._report(err);
+    }
+  }
+
+  // the _changes of the prefixed documents, a _selector filter has to be
+  // POSTed, which nano's db.changes() can't do
+  _changes(qs) {
+    return this.db.server.request({
+      db: this.db.config.db,
+      path: '_changes',
+      method: 'POST',
+      qs: { ...qs, filter: '_selector' },
+      body: { selector: { _id: { $regex: `^${escape(this.prefix)}` } } },
+    });
+  }
+
+  _emit(change) {
+    const type = this.classify(change);
+    if (!type) return;
+    const event = {
+      type,
+      id: change.id.slice(this.prefix.length),
+      rev: change.changes[0].rev,
+      seq: change.seq,
+      doc: change.doc,
+    };
+    this._safeEmit(type, event);
+    this._safeEmit('change', event);
+  }
+
+  async _run() {
+    const { batchSize, timeout, backoff, maxBackoff } = this.options;
+    let failures = 0;
+    while (!this.stopped) {
+      let res;
+      try {
+        res = await this._changes({
+          since: this.since,
+          feed: 'longpoll',
+          include_docs: true,
+          limit: batchSize,
+          timeout,
+        });
+      } catch (err) {
+        if (this.stopped) break;
+        const delay = Math.min(backoff * 2 ** failures++, maxBackoff);
+        this._report(Object.assign(fromCouch(err), { delay }));
+        await this._sleep(delay);
+        continue;
+      }
+      if (this.stopped) break;
+      failures = 0;
+      res.results.forEach(change => this._emit(change));
+      if (res.last_seq !== this.since) {
+        this.since = res.last_seq;
+        this._safeEmit('seq', this.since);
+      }
+    }
+  }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,95 @@
+const Watcher = require('./watcher');
+const MemoryDB = require('./memory-db');
+
+describe('watcher', () => {
+  const watch = (db, opts) =>
+    new Watcher(db, {
+      prefix: 'ITEM:',
+      classify: ({ doc }) => (doc.skip ? null : 'seen'),
+      since: 0,
+      timeout: 20,
+      ...opts,
+    }).start();
+
+  it('emits classified changes with the prefix matching documents', async () => {
+    const db = new MemoryDB();
+    await db.insert({ _id: 'OTHER:a' });
+    await db.insert({ _id: 'ITEM:skipped', skip: true });
+    await db.insert({ _id: 'ITEM:b' });
+    const watcher = watch(db);
+    const event = await new Promise(resolve => watcher.on('seen', resolve));
+    watcher.stop();
+    expect(event).toMatchObject({ type: 'seen', id: 'b', seq: 3 });
+    expect(event.doc._id).toBe('ITEM:b');
+  });
+
+  it('only requests the changes of prefixed documents', async () => {
+    const db = new MemoryDB();
+    await db.insert({ _id: 'OTHER:a' });
+    await db.insert({ _id: 'ITEMS:a' });
+    await db.insert({ _id: 'ITEM:a' });
+    const requests = [];
+    const request = db.server.request;
+    db.server.request = async req => {
+      const res = await request(req);
+      requests.push([req, res]);
+      return res;
+    };
+    const watcher = watch(db);
+    await new Promise(resolve => watcher.on('seq', resolve));
+    watcher.stop();
+    const [[req, res]] = requests;
+    expect(req).toMatchObject({
+      method: 'POST',
+      path: '_changes',
+      qs: { filter: '_selector', include_docs: true },
+    });
+    expect(res.results.map(({ id }) => id)).toEqual(['ITEM:a']);
+  });
+
+  it('keeps going when a listener throws', async () => {
+    const db = new MemoryDB();
+    await db.insert({ _id: 'ITEM:a' });
+    const watcher = watch(db);
+    const errors = [];
+    watcher.on('error', err => errors.push(err));
+    watcher.on('seen', ({ id }) => {
+      if (id === 'a') throw new Error('listener failed');
+    });
+    const seen = new Promise(resolve =>
+      watcher.on('seen', ({ id }) => id === 'b' && resolve())
+    );
+    await new Promise(resolve => watcher.once('seq', resolve));
+    await db.insert({ _id: 'ITEM:b' });
+    await seen;
+    watcher.stop();
+    await watcher.done;
+    expect(errors.map(err => err.message)).toEqual(['listener failed']);
+  });
+
+  it('reports the sequence to resume from', async () => {
+    const db = new MemoryDB();
+    await db.insert({ _id: 'ITEM:a' });
+    const watcher = watch(db);
+    const seq = await new Promise(resolve => watcher.on('seq', resolve));
+    watcher.stop();
+    expect(seq).toBe(1);
+  });
+
+  it('caps the backoff between reconnects', async () => {
+    const db = {
+      config: { db: 'unreachable' },
+      server: { request: () => Promise.reject(new Error('unreachable')) },
+    };
+    const watcher = watch(db, { backoff: 1, maxBackoff: 4 });
+    const delays = await new Promise(resolve => {
+      const seen = [];
+      watcher.on('error', err => {
+        seen.push(err.delay);
+        if (seen.length === 5) resolve(seen);
+      });
+    });
+    watcher.stop();
+    expect(delays).toEqual([1, 2, 4, 4, 4]);
+  });
+});